@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Append-only record of security-relevant and administrative events
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Record an audit event
+auditLogSchema.statics.record = function(action, { actor, target, ip, details } = {}) {
+  return this.create({ action, actor, target, ip, details });
+};
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
@@ -1,5 +1,25 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('./userModel');
+const RefreshToken = require('./refreshTokenModel');
+const Invitation = require('./invitationModel');
+const Role = require('./roleModel');
+const LoginAttempt = require('./loginAttemptModel');
+const AuditLog = require('./auditLogModel');
+const Setting = require('./settingModel');
+const totp = require('./totp');
+const { hasPermission } = require('./permissions');
+
+// Refresh token lifetime in days
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Failed logins allowed before an account or IP is locked, and for how long
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+// Hash a refresh token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 // Protect routes - authentication required
 exports.protect = async (req, res, next) => {
@@ -20,6 +40,14 @@ exports.protect = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Invitation and two-factor challenge tokens are not access tokens
+    if (decoded.type) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid'
+      });
+    }
     
     // Get user from token
     const user = await User.findById(decoded.id).select('-password');
@@ -38,7 +66,18 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Reject tokens issued before a password change or "log out all sessions"
+    if (user.isTokenRevoked(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked, please log in again'
+      });
+    }
+
     req.user = user;
+    req.permissions = await Role.permissionsFor(user.role);
+    // Staff permissions stay unusable until required two-factor enrollment is done
+    req.twoFactorSetupRequired = !user.twoFactorEnabled && await exports.isTwoFactorRequired(user.role);
     next();
   } catch (error) {
     res.status(401).json({
@@ -48,21 +87,271 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Admin role required
-exports.admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Permission required
+exports.can = (permission) => (req, res, next) => {
+  if (req.twoFactorSetupRequired) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled for your role'
+    });
+  }
+
+  if (req.user && hasPermission(req.permissions, permission)) {
     next();
   } else {
     res.status(403).json({
       success: false,
-      message: 'Access denied. Admin role required.'
+      message: `Access denied. Permission ${permission} required.`
+    });
+  }
+};
+
+// Block unverified accounts from the given action when it is listed in UNVERIFIED_RESTRICTIONS
+// (comma-separated, defaults to "checkout")
+exports.requireVerifiedEmail = (action) => (req, res, next) => {
+  const restricted = (process.env.UNVERIFIED_RESTRICTIONS ?? 'checkout')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  if (req.user && !req.user.emailVerified && restricted.includes(action)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to continue'
     });
   }
+  next();
 };
 
-// Generate JWT token
+// Generate short-lived JWT access token
 exports.generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || process.env.JWT_EXPIRE || '15m'
   });
+};
+
+// Issue a new refresh token for the user and store its hash
+exports.generateRefreshToken = async (userId, req) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return token;
+};
+
+// Issue an access token and refresh token pair
+exports.generateAuthTokens = async (userId, req) => {
+  return {
+    token: exports.generateToken(userId),
+    refreshToken: await exports.generateRefreshToken(userId, req)
+  };
+};
+
+// Exchange a refresh token for a new token pair, revoking the old one.
+// Presenting an already revoked token is treated as theft and revokes every session of that user.
+// Returns null if the token cannot be used.
+exports.rotateRefreshToken = async (token, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) {
+    return null;
+  }
+
+  if (stored.revokedAt) {
+    await exports.revokeRefreshTokens(stored.user);
+    return null;
+  }
+
+  if (!stored.isActive()) {
+    return null;
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive || user.isTokenRevoked(Math.floor(stored.createdAt.getTime() / 1000))) {
+    return null;
+  }
+
+  const tokens = await exports.generateAuthTokens(user._id, req);
+
+  // Only one request can rotate a given token
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy: hashToken(tokens.refreshToken) }
+  );
+  if (!rotated) {
+    await exports.revokeRefreshTokens(stored.user);
+    return null;
+  }
+
+  return { user, ...tokens };
+};
+
+// Revoke a single refresh token
+exports.revokeRefreshToken = async (token) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke every refresh token of a user
+exports.revokeRefreshTokens = async (userId) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Sign an invitation token carrying the invited email and role
+exports.generateInviteToken = (invitation) => {
+  return jwt.sign(
+    { invitation: invitation._id, email: invitation.email, role: invitation.role, type: 'invite' },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((invitation.expiresAt - Date.now()) / 1000)) }
+  );
+};
+
+// Verify an invitation token and return the pending invitation it refers to, or null
+exports.verifyInviteToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.type !== 'invite') {
+    return null;
+  }
+
+  const invitation = await Invitation.findById(decoded.invitation);
+  if (!invitation || invitation.status !== 'pending' || invitation.email !== decoded.email) {
+    return null;
+  }
+
+  return invitation;
+};
+
+// Seconds until the IP and account may attempt to log in again (0 if allowed now)
+exports.getLoginRetryAfter = async (ip, user) => {
+  const now = Date.now();
+  const attempt = await LoginAttempt.findOne({ ip });
+  const waits = [attempt && attempt.lockUntil, user && user.lockUntil]
+    .filter(Boolean)
+    .map(date => date.getTime() - now);
+  return Math.max(0, Math.ceil(Math.max(0, ...waits) / 1000));
+};
+
+// Record a failed login for the IP and, if known, the account.
+// Each account failure after the first adds a doubling delay (capped at 30 seconds)
+// and reaching the limit locks the account or IP for LOGIN_LOCK_MINUTES.
+exports.recordLoginFailure = async (ip, user) => {
+  const now = Date.now();
+  const lockUntil = new Date(now + LOGIN_LOCK_MINUTES * 60 * 1000);
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { ip },
+    { $inc: { failures: 1 }, expiresAt: lockUntil },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  if (attempt.failures >= LOGIN_IP_MAX_ATTEMPTS) {
+    await LoginAttempt.updateOne({ _id: attempt._id }, { lockUntil });
+    await AuditLog.record('login.ip_locked', {
+      ip,
+      details: { failures: attempt.failures, lockUntil }
+    });
+  }
+
+  if (!user) {
+    return;
+  }
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  const failures = updated.failedLoginAttempts;
+
+  if (failures >= LOGIN_MAX_ATTEMPTS) {
+    await User.updateOne({ _id: user._id }, { lockUntil });
+    await AuditLog.record('account.locked', {
+      target: user._id,
+      ip,
+      details: { failures, lockUntil }
+    });
+  } else if (failures >= 2) {
+    const delaySeconds = Math.min(2 ** (failures - 2), 30);
+    await User.updateOne({ _id: user._id }, { lockUntil: new Date(now + delaySeconds * 1000) });
+  }
+};
+
+// Clear an account's failed login count after a successful login or an unlock
+exports.resetLoginFailures = (userId) => {
+  return User.updateOne(
+    { _id: userId },
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
+// Roles that must use two-factor authentication
+exports.getTwoFactorRequiredRoles = () => Setting.getValue('twoFactor.requiredRoles', []);
+
+// Check whether the given role must use two-factor authentication
+exports.isTwoFactorRequired = async (role) => {
+  const requiredRoles = await exports.getTwoFactorRequiredRoles();
+  return requiredRoles.includes(role);
+};
+
+// Sign a short-lived token proving the password step of a two-step login
+exports.generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ id: userId, type: '2fa' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
+// Verify a two-step login token and return the user id, or null
+exports.verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check a TOTP code or a recovery code for a user with two-factor enabled.
+// The user must be loaded with +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep.
+// Codes are single-use: a TOTP step is not accepted twice and recovery codes are consumed.
+exports.verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verify(code, user.twoFactorSecret);
+    if (step === null) {
+      return false;
+    }
+
+    const updated = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }]
+      },
+      { twoFactorLastStep: step }
+    );
+    return updated.modifiedCount > 0;
+  }
+
+  if (recoveryCode) {
+    const hash = User.hashToken(String(recoveryCode).trim().toLowerCase());
+    const updated = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    return updated.modifiedCount > 0;
+  }
+
+  return false;
 };
\ No newline at end of file
@@ -1,17 +1,60 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('./userModel');
-const { generateToken, protect } = require('./authController');
+const Invitation = require('./invitationModel');
+const Role = require('./roleModel');
+const Setting = require('./settingModel');
+const totp = require('./totp');
+const {
+  protect,
+  can,
+  generateAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeRefreshTokens,
+  verifyInviteToken,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  resetLoginFailures,
+  getTwoFactorRequiredRoles,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  verifySecondFactor
+} = require('./authController');
+const { sendMail } = require('./mailer');
 
 const router = express.Router();
 
+// Base URL of the storefront, used for links in emails
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Send the email verification link
+const sendVerificationEmail = (user, token) => {
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your FreshMart email address',
+    text: `Hi ${user.firstName},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+  });
+};
+
+// Send the password reset link
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your FreshMart password',
+    text: `Hi ${user.firstName},\n\nYou can reset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not request this, you can ignore this email.`
+  });
+};
+
 // Register user
 router.post('/register', [
   body('firstName').trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
   body('lastName').trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').optional().isIn(['user', 'admin']).withMessage('Role must be either user or admin')
+  body('inviteToken').optional().isString().withMessage('Invite token must be a string')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -24,7 +67,7 @@ router.post('/register', [
       });
     }
 
-    const { firstName, lastName, email, password, role, phone } = req.body;
+    const { firstName, lastName, email, password, phone, inviteToken } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -35,18 +78,62 @@ router.post('/register', [
       });
     }
 
+    // Roles other than 'user' can only be granted through an invitation
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await verifyInviteToken(inviteToken);
+      if (!invitation || invitation.email !== email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invitation is invalid, expired or for a different email'
+        });
+      }
+
+      // Claim the invitation so it cannot be used twice
+      invitation = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, acceptedAt: null, revokedAt: null },
+        { acceptedAt: new Date() },
+        { new: true }
+      );
+      if (!invitation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invitation has already been used'
+        });
+      }
+    }
+
     // Create user
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password,
-      role: role || 'user',
-      phone
-    });
+    let user;
+    try {
+      user = await User.create({
+        firstName,
+        lastName,
+        email,
+        password,
+        role: invitation ? invitation.role : 'user',
+        phone,
+        // The invite link was delivered to this address
+        emailVerified: Boolean(invitation)
+      });
+    } catch (error) {
+      if (invitation) {
+        await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+      }
+      throw error;
+    }
+
+    if (invitation) {
+      await Invitation.updateOne({ _id: invitation._id }, { acceptedBy: user._id });
+    } else {
+      // Send email verification link
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save({ validateBeforeSave: false });
+      await sendVerificationEmail(user, verificationToken);
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await generateAuthTokens(user._id, req);
 
     res.status(201).json({
       success: true,
@@ -57,9 +144,11 @@ router.post('/register', [
           firstName: user.firstName,
           lastName: user.lastName,
           email: user.email,
-          role: user.role
+          role: user.role,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -91,8 +180,19 @@ router.post('/login', [
 
     // Find user by email and include password
     const user = await User.findOne({ email }).select('+password');
+
+    // Refuse attempts while the IP or account is delayed or locked
+    const retryAfter = await getLoginRetryAfter(req.ip, user);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${retryAfter} seconds`
+      });
+    }
     
     if (!user) {
+      await recordLoginFailure(req.ip, null);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -111,14 +211,32 @@ router.post('/login', [
     const isPasswordMatch = await user.comparePassword(password);
     
     if (!isPasswordMatch) {
+      await recordLoginFailure(req.ip, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Second step required: hand out a short-lived challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id)
+        }
+      });
+    }
+
+    // Only the account's own failures are cleared; the IP keeps its count until the window ends
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await resetLoginFailures(user._id);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await generateAuthTokens(user._id, req);
 
     res.status(200).json({
       success: true,
@@ -129,9 +247,11 @@ router.post('/login', [
           firstName: user.firstName,
           lastName: user.lastName,
           email: user.email,
-          role: user.role
+          role: user.role,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -143,6 +263,601 @@ router.post('/login', [
   }
 });
 
+// Complete a two-step login with a TOTP code or a recovery code
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const user = userId && await User.findById(userId)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor challenge is invalid or has expired'
+      });
+    }
+
+    // Wrong codes count as failed logins
+    const retryAfter = await getLoginRetryAfter(req.ip, user);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${retryAfter} seconds`
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordLoginFailure(req.ip, user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await resetLoginFailures(user._id);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await generateAuthTokens(user._id, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified
+        },
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message
+    });
+  }
+});
+
+// Start two-factor enrollment: returns a new secret and otpauth URI
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totp.keyUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Confirm two-factor enrollment with a code from the app; returns recovery codes once
+router.post('/2fa/confirm', [
+  protect,
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verify(req.body.code, user.twoFactorPendingSecret);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorLastStep = step;
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Disable two-factor authentication (password and a second factor required)
+router.post('/2fa/disable', [
+  protect,
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const requiredRoles = await getTwoFactorRequiredRoles();
+    if (requiredRoles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    if (!(await user.comparePassword(password)) || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        $unset: {
+          twoFactorSecret: 1,
+          twoFactorRecoveryCodes: 1,
+          twoFactorLastStep: 1
+        }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Replace recovery codes (a current TOTP code is required)
+router.post('/2fa/recovery-codes', [
+  protect,
+  body('code').notEmpty().withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = user.createRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { twoFactorRecoveryCodes: user.twoFactorRecoveryCodes }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get roles that must use two-factor authentication (roles:manage)
+router.get('/2fa/policy', protect, can('roles:manage'), async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { requiredRoles: await getTwoFactorRequiredRoles() }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Set roles that must use two-factor authentication (roles:manage)
+router.put('/2fa/policy', [
+  protect,
+  can('roles:manage'),
+  body('requiredRoles').isArray().withMessage('Required roles must be an array'),
+  body('requiredRoles.*').custom(async role => {
+    if (!(await Role.isDefined(role))) {
+      throw new Error(`Role ${role} does not exist`);
+    }
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const requiredRoles = [...new Set(req.body.requiredRoles)];
+    await Setting.setValue('twoFactor.requiredRoles', requiredRoles, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: { requiredRoles }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Logout (revoke the given refresh token)
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Logout from all sessions (revokes every refresh token and access token issued so far)
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await revokeRefreshTokens(req.user.id);
+    // Backdate by a second, as for a password change, so a token issued right after stays valid
+    await User.findByIdAndUpdate(req.user.id, { tokensRevokedAt: new Date(Date.now() - 1000) });
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all sessions'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Only send mail to active accounts, but always answer the same way
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      await sendPasswordResetEmail(user, resetToken);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    // Tokens are single-use: claim it by clearing it, so a second request with it finds nothing
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Existing sessions end with the password change
+    await revokeRefreshTokens(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset, please log in'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Verify email address with a token from the verification email
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(req.body.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        emailVerified: true,
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Resend the email verification link
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // Get current user profile
 router.get('/profile', protect, async (req, res) => {
   try {
@@ -157,6 +872,8 @@ router.get('/profile', protect, async (req, res) => {
           lastName: user.lastName,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactorEnabled,
           phone: user.phone,
           address: user.address,
           createdAt: user.createdAt
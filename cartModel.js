@@ -6,6 +6,16 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Chosen variant, for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  sku: {
+    type: String
+  },
   quantity: {
     type: Number,
     required: true,
@@ -32,6 +42,11 @@ const cartSchema = new mongoose.Schema({
     unique: true
   },
   items: [cartItemSchema],
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   subtotal: {
     type: Number,
     default: 0,
@@ -65,20 +80,29 @@ cartItemSchema.pre('save', function(next) {
   next();
 });
 
-// Method to add item to cart
-cartSchema.methods.addItem = function(productId, quantity, price) {
-  const existingItemIndex = this.items.findIndex(
-    item => item.product.toString() === productId.toString()
-  );
+// Whether a cart line is for the given product and variant
+const isLine = (item, productId, variantId) => {
+  return item.product.toString() === productId.toString() &&
+    (item.variant ? item.variant.toString() : null) === (variantId ? variantId.toString() : null);
+};
+
+// Method to add item to cart; `variant` is the chosen variant subdocument, if any
+cartSchema.methods.addItem = function(productId, quantity, price, variant) {
+  const variantId = variant ? variant._id : null;
+  const existingItemIndex = this.items.findIndex(item => isLine(item, productId, variantId));
 
   if (existingItemIndex >= 0) {
     // Update existing item
     this.items[existingItemIndex].quantity += quantity;
+    this.items[existingItemIndex].price = price;
     this.items[existingItemIndex].total = this.items[existingItemIndex].quantity * price;
   } else {
     // Add new item
     this.items.push({
       product: productId,
+      variant: variantId || undefined,
+      variantName: variant ? variant.name : undefined,
+      sku: variant ? variant.sku : undefined,
       quantity,
       price,
       total: quantity * price
@@ -89,10 +113,8 @@ cartSchema.methods.addItem = function(productId, quantity, price) {
 };
 
 // Method to update item quantity
-cartSchema.methods.updateItem = function(productId, quantity) {
-  const itemIndex = this.items.findIndex(
-    item => item.product.toString() === productId.toString()
-  );
+cartSchema.methods.updateItem = function(productId, quantity, variantId) {
+  const itemIndex = this.items.findIndex(item => isLine(item, productId, variantId));
 
   if (itemIndex >= 0) {
     if (quantity <= 0) {
@@ -108,17 +130,21 @@ cartSchema.methods.updateItem = function(productId, quantity) {
 };
 
 // Method to remove item from cart
-cartSchema.methods.removeItem = function(productId) {
-  this.items = this.items.filter(
-    item => item.product.toString() !== productId.toString()
-  );
+cartSchema.methods.removeItem = function(productId, variantId) {
+  this.items = this.items.filter(item => !isLine(item, productId, variantId));
   
   return this.save();
 };
 
+// Find the cart line for a product and variant
+cartSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find(item => isLine(item, productId, variantId));
+};
+
 // Method to clear cart
 cartSchema.methods.clearCart = function() {
   this.items = [];
+  this.couponCode = undefined;
   return this.save();
 };
 
@@ -1,10 +1,25 @@
 const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
 const Cart = require('./cartModel');
 const Product = require('./productModel');
 const { protect } = require('./authController');
+const { holdForCart, releaseCartHolds } = require('./inventoryController');
+const { evaluateCoupon } = require('./promotionsController');
 
 const router = express.Router();
 
+// Resolve the product or variant a cart line sells; responds and returns null if it cannot be sold
+const findSellable = (res, product, variantId) => {
+  const sellable = product.getSellable(variantId);
+  if (!sellable) {
+    res.status(variantId ? 404 : 400).json({
+      success: false,
+      message: variantId ? 'Variant not found or unavailable' : 'Please choose a variant of this product'
+    });
+  }
+  return sellable;
+};
+
 // Get user's cart
 router.get('/', protect, async (req, res) => {
   try {
@@ -36,6 +51,7 @@ router.get('/', protect, async (req, res) => {
 router.post('/', [
   protect,
   body('productId').isMongoId().withMessage('Valid product ID is required'),
+  body('variantId').optional().isMongoId().withMessage('Valid variant ID is required'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
 ], async (req, res) => {
   try {
@@ -48,7 +64,8 @@ router.post('/', [
       });
     }
 
-    const { productId, quantity } = req.body;
+    const { productId, variantId } = req.body;
+    const quantity = parseInt(req.body.quantity);
 
     // Verify product exists and is active
     const product = await Product.findOne({ 
@@ -63,13 +80,9 @@ router.post('/', [
       });
     }
 
-    // Check stock
-    if (product.stock < quantity) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient stock. Only ${product.stock} available`
-      });
-    }
+    const sellable = findSellable(res, product, variantId);
+    if (!sellable) return;
+    const variant = sellable === product ? null : sellable;
 
     // Find or create cart
     let cart = await Cart.findOne({ user: req.user.id });
@@ -77,8 +90,19 @@ router.post('/', [
       cart = await Cart.create({ user: req.user.id });
     }
 
+    // Hold stock for the whole line, including what is already in the cart
+    const existing = cart.findItem(productId, variantId);
+    const totalQuantity = (existing ? existing.quantity : 0) + quantity;
+    const hold = await holdForCart(req.user.id, productId, totalQuantity, variantId);
+    if (!hold.success) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock. Only ${hold.available} available`
+      });
+    }
+
     // Add item to cart
-    await cart.addItem(productId, quantity, product.price);
+    await cart.addItem(productId, quantity, sellable.price, variant);
 
     // Return updated cart
     const updatedCart = await Cart.findById(cart._id)
@@ -98,6 +122,368 @@ router.post('/', [
   }
 });
 
-// Other cart operations (update, delete, clear) would follow similar patterns
+// Update item quantity in cart (quantity 0 removes the item)
+router.patch('/items/:productId', [
+  protect,
+  param('productId').isMongoId().withMessage('Valid product ID is required'),
+  query('variantId').optional().isMongoId().withMessage('Valid variant ID is required'),
+  body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { productId } = req.params;
+    const { variantId } = req.query;
+    const quantity = parseInt(req.body.quantity);
+
+    const cart = await Cart.findOne({ user: req.user.id });
+    const item = cart && cart.findItem(productId, variantId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+
+    if (quantity > 0) {
+      // Verify product is still active
+      const product = await Product.findOne({
+        _id: productId,
+        isActive: true
+      });
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found or unavailable'
+        });
+      }
+
+      const sellable = findSellable(res, product, variantId);
+      if (!sellable) return;
+
+      // Keep the line priced at the current product or variant price
+      item.price = sellable.price;
+    }
+
+    // Adjust the stock held for this line (quantity 0 releases it)
+    const hold = await holdForCart(req.user.id, productId, quantity, variantId);
+    if (!hold.success) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient stock. Only ${hold.available} available`
+      });
+    }
+
+    await cart.updateItem(productId, quantity, variantId);
+
+    const updatedCart = await Cart.findById(cart._id)
+      .populate('items.product', 'name price images');
+
+    res.status(200).json({
+      success: true,
+      message: quantity > 0 ? 'Cart item updated' : 'Item removed from cart',
+      data: { cart: updatedCart }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Remove item from cart
+router.delete('/items/:productId', [
+  protect,
+  param('productId').isMongoId().withMessage('Valid product ID is required'),
+  query('variantId').optional().isMongoId().withMessage('Valid variant ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { productId } = req.params;
+    const { variantId } = req.query;
+
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart || !cart.findItem(productId, variantId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+
+    await cart.removeItem(productId, variantId);
+    await releaseCartHolds(req.user.id, [{ product: productId, variant: variantId }]);
+
+    const updatedCart = await Cart.findById(cart._id)
+      .populate('items.product', 'name price images');
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from cart',
+      data: { cart: updatedCart }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Clear cart
+router.delete('/', protect, async (req, res) => {
+  try {
+    let cart = await Cart.findOne({ user: req.user.id });
+    if (!cart) {
+      cart = await Cart.create({ user: req.user.id });
+    } else {
+      await cart.clearCart();
+    }
+    await releaseCartHolds(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart cleared',
+      data: { cart }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Merge a guest cart into the user's cart
+router.post('/merge', [
+  protect,
+  body('items').isArray().withMessage('Items must be an array'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.variantId').optional().isMongoId().withMessage('Valid variant ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { items } = req.body;
+
+    // Find or create cart
+    let cart = await Cart.findOne({ user: req.user.id });
+    if (!cart) {
+      cart = await Cart.create({ user: req.user.id });
+    }
+
+    const productIds = items.map(item => item.productId);
+    const products = await Product.find({
+      _id: { $in: productIds },
+      isActive: true
+    });
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    const skipped = [];
+
+    for (const item of items) {
+      const product = productMap.get(item.productId.toString());
+
+      const sellable = product && product.getSellable(item.variantId);
+
+      if (!sellable) {
+        skipped.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          reason: product ? 'Variant not found or unavailable' : 'Product not found or unavailable'
+        });
+        continue;
+      }
+
+      const variant = sellable === product ? null : sellable;
+      const existing = cart.findItem(product._id, item.variantId);
+      const currentQuantity = existing ? existing.quantity : 0;
+      const requested = currentQuantity + parseInt(item.quantity);
+
+      // Hold the merged quantity, capped at available stock
+      let quantity = requested;
+      let hold = await holdForCart(req.user.id, product._id, quantity, item.variantId);
+      if (!hold.success && hold.available > currentQuantity) {
+        quantity = hold.available;
+        hold = await holdForCart(req.user.id, product._id, quantity, item.variantId);
+      }
+      if (!hold.success) {
+        quantity = currentQuantity;
+      }
+
+      if (quantity < requested) {
+        skipped.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          reason: `Insufficient stock. Only ${quantity} available`,
+          requested,
+          added: Math.max(0, quantity - currentQuantity)
+        });
+      }
+
+      if (quantity <= currentQuantity) {
+        continue;
+      }
+
+      if (existing) {
+        existing.quantity = quantity;
+        existing.price = sellable.price;
+        existing.total = quantity * sellable.price;
+      } else {
+        cart.items.push({
+          product: product._id,
+          variant: variant ? variant._id : undefined,
+          variantName: variant ? variant.name : undefined,
+          sku: variant ? variant.sku : undefined,
+          quantity,
+          price: sellable.price,
+          total: quantity * sellable.price
+        });
+      }
+    }
+
+    await cart.save();
+
+    const updatedCart = await Cart.findById(cart._id)
+      .populate('items.product', 'name price images');
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart merged successfully',
+      data: {
+        cart: updatedCart,
+        skipped
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Apply coupon code to cart
+router.post('/coupon', [
+  protect,
+  body('code').trim().notEmpty().withMessage('Coupon code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await Cart.findOne({ user: req.user.id })
+      .populate('items.product', 'name price images category');
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const promotion = await evaluateCoupon(req.body.code, {
+      customerId: req.user.id,
+      items: cart.items.map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        price: item.price
+      }))
+    });
+
+    if (promotion.error) {
+      return res.status(400).json({
+        success: false,
+        message: promotion.error
+      });
+    }
+
+    cart.couponCode = promotion.coupon.code;
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        cart,
+        coupon: {
+          code: promotion.coupon.code,
+          type: promotion.coupon.type,
+          description: promotion.coupon.description,
+          discountAmount: promotion.discountAmount,
+          freeShipping: promotion.freeShipping
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Remove coupon code from cart
+router.delete('/coupon', protect, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user.id });
+    if (!cart || !cart.couponCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'No coupon applied to cart'
+      });
+    }
+
+    cart.couponCode = undefined;
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon removed',
+      data: { cart }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Category = require('./categoryModel');
-const { protect, admin } = require('./authController');
+const { protect, can } = require('./authController');
 
 const router = express.Router();
 
@@ -77,12 +77,13 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create category (Admin only)
+// Create category (categories:write)
 router.post('/', [
   protect,
-  admin,
+  can('categories:write'),
   body('name').trim().isLength({ min: 2 }).withMessage('Category name must be at least 2 characters'),
-  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('taxClass').optional().trim().matches(/^[a-zA-Z0-9_-]+$/).withMessage('Tax class may only contain letters, numbers, dashes and underscores')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -95,7 +96,7 @@ router.post('/', [
       });
     }
 
-    const { name, description, image } = req.body;
+    const { name, description, image, taxClass } = req.body;
 
     // Check if category already exists
     const existingCategory = await Category.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
@@ -110,6 +111,7 @@ router.post('/', [
       name,
       description,
       image,
+      taxClass,
       createdBy: req.user.id
     });
 
@@ -129,12 +131,13 @@ router.post('/', [
   }
 });
 
-// Update category (Admin only)
+// Update category (categories:write)
 router.put('/:id', [
   protect,
-  admin,
+  can('categories:write'),
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Category name must be at least 2 characters'),
-  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('taxClass').optional().trim().matches(/^[a-zA-Z0-9_-]+$/).withMessage('Tax class may only contain letters, numbers, dashes and underscores')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -147,7 +150,7 @@ router.put('/:id', [
       });
     }
 
-    const { name, description, image, isActive } = req.body;
+    const { name, description, image, taxClass, isActive } = req.body;
 
     // Check if category exists
     const category = await Category.findById(req.params.id);
@@ -174,7 +177,7 @@ router.put('/:id', [
 
     const updatedCategory = await Category.findByIdAndUpdate(
       req.params.id,
-      { name, description, image, isActive },
+      { name, description, image, taxClass, isActive },
       { new: true, runValidators: true }
     ).populate('createdBy', 'firstName lastName');
 
@@ -192,8 +195,8 @@ router.put('/:id', [
   }
 });
 
-// Delete category (Admin only)
-router.delete('/:id', protect, admin, async (req, res) => {
+// Delete category (categories:write)
+router.delete('/:id', protect, can('categories:write'), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     
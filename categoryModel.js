@@ -21,6 +21,13 @@ const categorySchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Tax class used to look up tax rates, e.g. 'standard' or 'zero' for groceries
+  taxClass: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'standard'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y']
+  },
+  // Percent off for 'percentage', amount off for 'fixed'
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    default: 0
+  },
+  // Cap on the discount of a percentage coupon
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // For 'buy_x_get_y': buy `buyQuantity` of a product, get `getQuantity` more free
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  minSpend: {
+    type: Number,
+    min: [0, 'Minimum spend cannot be negative'],
+    default: 0
+  },
+  // Limit the discount to these products and/or categories (empty means everything)
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  usageLimitPerCustomer: {
+    type: Number,
+    min: [1, 'Per-customer usage limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Validate rule-specific fields before saving
+couponSchema.pre('save', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    return next(new Error('Percentage must be between 0 and 100'));
+  }
+  if (this.type === 'fixed' && this.value <= 0) {
+    return next(new Error('Fixed discount must be greater than 0'));
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    return next(new Error('Buy and get quantities are required'));
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    return next(new Error('End date must be after start date'));
+  }
+  next();
+});
+
+// Check whether the coupon applies to a product (given as a document with its category)
+couponSchema.methods.appliesTo = function(product) {
+  if (this.products.length === 0 && this.categories.length === 0) {
+    return true;
+  }
+  const productId = (product._id || product).toString();
+  const categoryId = product.category && (product.category._id || product.category).toString();
+  return this.products.some(id => id.toString() === productId) ||
+    this.categories.some(id => id.toString() === categoryId);
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// How many times a customer has used a coupon. Checkout claims a use with a conditional
+// increment so concurrent orders cannot exceed the per-customer limit.
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ coupon: 1, customer: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema);
\ No newline at end of file
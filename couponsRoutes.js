@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Coupon = require('./couponModel');
+const CouponRedemption = require('./couponRedemptionModel');
+const { protect, can } = require('./authController');
+
+const router = express.Router();
+
+// Coupon fields validation; `optional` relaxes it for updates
+const couponValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('code').trim().isLength({ min: 3, max: 30 }).withMessage('Coupon code must be 3 to 30 characters'),
+    field('type').isIn(['percentage', 'fixed', 'free_shipping', 'buy_x_get_y']).withMessage('Invalid coupon type'),
+    body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+    body('maxDiscount').optional().isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+    body('buyQuantity').optional().isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+    body('getQuantity').optional().isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+    body('minSpend').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be a positive number'),
+    body('products').optional().isArray().withMessage('Products must be an array'),
+    body('products.*').isMongoId().withMessage('Valid product ID is required'),
+    body('categories').optional().isArray().withMessage('Categories must be an array'),
+    body('categories.*').isMongoId().withMessage('Valid category ID is required'),
+    body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('usageLimitPerCustomer').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Per-customer usage limit must be at least 1'),
+    body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('Start date must be a valid date'),
+    body('endsAt').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'buyQuantity', 'getQuantity',
+  'minSpend', 'products', 'categories', 'usageLimit', 'usageLimitPerCustomer',
+  'startsAt', 'endsAt', 'isActive'
+];
+
+// Get all coupons (promotions:write)
+router.get('/', protect, can('promotions:write'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, isActive } = req.query;
+
+    let query = {};
+
+    // Search by code
+    if (search) {
+      query.code = { $regex: search, $options: 'i' };
+    }
+
+    // Filter by active status
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    const coupons = await Coupon.find(query)
+      .populate('createdBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupons,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get single coupon with its redemptions (promotions:write)
+router.get('/:id', protect, can('promotions:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('products', 'name slug')
+      .populate('categories', 'name slug')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+      .populate('customer', 'firstName lastName email')
+      .populate('order', 'orderNumber status totalAmount')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      data: { coupon, redemptions }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create coupon (promotions:write)
+router.post('/', [
+  protect,
+  can('promotions:write'),
+  ...couponValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: req.body.code.toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon with this code already exists'
+      });
+    }
+
+    const data = {};
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const coupon = await Coupon.create({ ...data, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update coupon (promotions:write)
+router.put('/:id', [
+  protect,
+  can('promotions:write'),
+  ...couponValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Check for duplicate code (if provided and different from current)
+    if (req.body.code && req.body.code.toUpperCase() !== coupon.code) {
+      const existingCoupon = await Coupon.findOne({
+        code: req.body.code.toUpperCase(),
+        _id: { $ne: req.params.id }
+      });
+      if (existingCoupon) {
+        return res.status(400).json({
+          success: false,
+          message: 'Coupon with this code already exists'
+        });
+      }
+    }
+
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete coupon (promotions:write)
+router.delete('/:id', protect, can('promotions:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Keep coupons that were used so order history stays intact; deactivate instead
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.status(200).json({
+        success: true,
+        message: 'Coupon has been used and was deactivated instead of deleted',
+        data: { coupon }
+      });
+    }
+
+    await Coupon.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
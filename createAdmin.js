@@ -0,0 +1,53 @@
+// Bootstrap the first admin account from environment variables:
+//   ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_FIRST_NAME, ADMIN_LAST_NAME
+// Usage: npm run create-admin
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('./userModel');
+
+const createAdmin = async () => {
+  const {
+    ADMIN_EMAIL,
+    ADMIN_PASSWORD,
+    ADMIN_FIRST_NAME = 'FreshMart',
+    ADMIN_LAST_NAME = 'Admin'
+  } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    throw new Error('ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    // Only bootstrap once; further admins are invited
+    const existingAdmin = await User.findOne({ role: 'admin' });
+    if (existingAdmin) {
+      throw new Error(`An admin account already exists (${existingAdmin.email}). Use an invitation instead.`);
+    }
+
+    const existingUser = await User.findOne({ email: ADMIN_EMAIL.toLowerCase() });
+    if (existingUser) {
+      throw new Error(`A user already exists with email ${ADMIN_EMAIL}`);
+    }
+
+    const user = await User.create({
+      firstName: ADMIN_FIRST_NAME,
+      lastName: ADMIN_LAST_NAME,
+      email: ADMIN_EMAIL,
+      password: ADMIN_PASSWORD,
+      role: 'admin',
+      emailVerified: true
+    });
+
+    console.log(`Admin account created for ${user.email}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createAdmin().catch(error => {
+  console.error('Failed to create admin:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
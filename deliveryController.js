@@ -0,0 +1,36 @@
+const DeliverySlot = require('./deliverySlotModel');
+
+// Minutes before a slot starts after which it can no longer be booked
+const SLOT_BOOKING_CUTOFF = (parseInt(process.env.DELIVERY_SLOT_CUTOFF) || 120) * 60 * 1000;
+
+// Earliest start time a slot may have to still be bookable
+exports.bookableAfter = () => new Date(Date.now() + SLOT_BOOKING_CUTOFF);
+
+// Book one place in a slot of the given zone inside the session.
+// The counter is only incremented while below capacity, so a full slot cannot be overbooked.
+// Returns the slot, or null if it is unavailable.
+exports.reserveDeliverySlot = (slotId, zoneId, session) => {
+  return DeliverySlot.findOneAndUpdate(
+    {
+      _id: slotId,
+      zone: zoneId,
+      isActive: true,
+      startsAt: { $gt: exports.bookableAfter() },
+      $expr: { $lt: ['$booked', '$capacity'] }
+    },
+    { $inc: { booked: 1 } },
+    { new: true, session }
+  );
+};
+
+// Give a cancelled order's slot place back
+exports.releaseDeliverySlot = async (order, session) => {
+  if (!order.deliverySlot) {
+    return;
+  }
+  await DeliverySlot.updateOne(
+    { _id: order.deliverySlot, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+};
\ No newline at end of file
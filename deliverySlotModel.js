@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A delivery time window in a shipping zone with a limited number of orders
+const deliverySlotSchema = new mongoose.Schema({
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingZone',
+    required: [true, 'Shipping zone is required']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Validate the window before saving
+deliverySlotSchema.pre('save', function(next) {
+  if (this.endsAt <= this.startsAt) {
+    return next(new Error('End time must be after start time'));
+  }
+  if (this.capacity < this.booked) {
+    return next(new Error('Capacity cannot be lower than the number of booked orders'));
+  }
+  next();
+});
+
+// Virtual for remaining capacity
+deliverySlotSchema.virtual('remaining').get(function() {
+  return Math.max(this.capacity - this.booked, 0);
+});
+
+deliverySlotSchema.index({ zone: 1, startsAt: 1 });
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
\ No newline at end of file
@@ -0,0 +1,336 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const DeliverySlot = require('./deliverySlotModel');
+const ShippingZone = require('./shippingZoneModel');
+const Order = require('./orderModel');
+const User = require('./userModel');
+const { protect, can } = require('./authController');
+const { findZone } = require('./shippingController');
+const { bookableAfter } = require('./deliveryController');
+const { stockKey } = require('./inventoryController');
+
+const router = express.Router();
+
+// Orders in these statuses still need to be picked
+const OPEN_STATUSES = ['pending', 'confirmed', 'processing'];
+
+// List bookable slots for a destination.
+// The destination is an address book entry, an address in the query, or the default shipping address.
+router.get('/', [
+  protect,
+  query('addressId').optional().isMongoId().withMessage('Valid address ID is required'),
+  query('country').optional().trim().notEmpty().withMessage('Country cannot be empty'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { addressId, country, state, zipCode, from, to } = req.query;
+
+    let address = country ? { country, state, zipCode } : null;
+    if (!address) {
+      const user = await User.findById(req.user.id);
+      const entry = addressId
+        ? user.addresses.id(addressId)
+        : user.addresses.find(candidate => candidate.isDefaultShipping);
+      if (!entry) {
+        return res.status(400).json({
+          success: false,
+          message: 'A destination country or addressId is required'
+        });
+      }
+      address = entry;
+    }
+
+    const zone = await findZone(address);
+    if (!zone) {
+      return res.status(400).json({
+        success: false,
+        message: 'We do not deliver to this address'
+      });
+    }
+
+    const earliest = bookableAfter();
+    const startsAt = { $gt: from && new Date(from) > earliest ? new Date(from) : earliest };
+    if (to) {
+      startsAt.$lte = new Date(to);
+    }
+
+    const slots = await DeliverySlot.find({
+      zone: zone._id,
+      isActive: true,
+      startsAt,
+      $expr: { $lt: ['$booked', '$capacity'] }
+    }).sort({ startsAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        zone: { _id: zone._id, name: zone.name },
+        slots
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get all slots of a zone, including full and past ones (shipping:write)
+router.get('/admin', [
+  protect,
+  can('shipping:write'),
+  query('zone').optional().isMongoId().withMessage('Valid zone ID is required'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { zone, from, to } = req.query;
+
+    let filter = {};
+    if (zone) filter.zone = zone;
+    if (from || to) {
+      filter.startsAt = {};
+      if (from) filter.startsAt.$gte = new Date(from);
+      if (to) filter.startsAt.$lte = new Date(to);
+    }
+
+    const slots = await DeliverySlot.find(filter)
+      .populate('zone', 'name')
+      .sort({ startsAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { slots }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create delivery slot (shipping:write)
+router.post('/', [
+  protect,
+  can('shipping:write'),
+  body('zone').isMongoId().withMessage('Valid zone ID is required'),
+  body('startsAt').isISO8601().withMessage('Start time must be a valid date'),
+  body('endsAt').isISO8601().withMessage('End time must be a valid date'),
+  body('capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { zone, startsAt, endsAt, capacity, isActive } = req.body;
+
+    const shippingZone = await ShippingZone.findById(zone);
+    if (!shippingZone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    const slot = await DeliverySlot.create({
+      zone,
+      startsAt,
+      endsAt,
+      capacity,
+      isActive,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery slot created successfully',
+      data: { slot }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update delivery slot (shipping:write)
+router.put('/:id', [
+  protect,
+  can('shipping:write'),
+  body('startsAt').optional().isISO8601().withMessage('Start time must be a valid date'),
+  body('endsAt').optional().isISO8601().withMessage('End time must be a valid date'),
+  body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { startsAt, endsAt, capacity, isActive } = req.body;
+
+    const slot = await DeliverySlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    // Booked orders keep their window
+    if (slot.booked > 0 && (startsAt !== undefined || endsAt !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The window of a slot with booked orders cannot be changed'
+      });
+    }
+
+    if (startsAt !== undefined) slot.startsAt = startsAt;
+    if (endsAt !== undefined) slot.endsAt = endsAt;
+    if (capacity !== undefined) slot.capacity = capacity;
+    if (isActive !== undefined) slot.isActive = isActive;
+    await slot.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery slot updated successfully',
+      data: { slot }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete delivery slot (shipping:write)
+router.delete('/:id', protect, can('shipping:write'), async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findById(req.params.id);
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    if (slot.booked > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Slot has ${slot.booked} booked order(s) and cannot be deleted; deactivate it instead`
+      });
+    }
+
+    await DeliverySlot.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery slot deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get the picking list for a slot: open orders and total quantity per product (orders:fulfil)
+router.get('/:id/picking-list', protect, can('orders:fulfil'), async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findById(req.params.id).populate('zone', 'name');
+
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    const orders = await Order.find({
+      deliverySlot: slot._id,
+      status: { $in: OPEN_STATUSES }
+    })
+      .populate('customer', 'firstName lastName phone')
+      .populate('items.product', 'name sku unit')
+      .select('orderNumber status customer items shippingAddress notes')
+      .sort({ createdAt: 1 });
+
+    // Total each product (and variant) across the slot's orders
+    const totals = new Map();
+    orders.forEach(order => {
+      order.items.forEach(item => {
+        const key = stockKey(item.product._id || item.product, item.variant);
+        const line = totals.get(key) || {
+          product: item.product,
+          variant: item.variant,
+          variantName: item.variantName,
+          sku: item.sku,
+          quantity: 0,
+          orders: 0
+        };
+        line.quantity += item.quantity;
+        line.orders += 1;
+        totals.set(key, line);
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        slot,
+        items: [...totals.values()],
+        orders
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A balance change on a gift card
+const giftCardEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['issue', 'redeem', 'restore', 'adjustment'],
+    required: true
+  },
+  // Positive when value is added to the card, negative when spent
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  initialBalance: {
+    type: Number,
+    required: [true, 'Initial balance is required'],
+    min: [0.01, 'Initial balance must be greater than 0']
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: [0, 'Balance cannot be negative']
+  },
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Append-only history of balance changes
+  history: [giftCardEntrySchema]
+}, {
+  timestamps: true
+});
+
+// Generate a code like GC-XXXX-XXXX-XXXX
+giftCardSchema.statics.generateCode = function() {
+  const raw = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return `GC-${raw.slice(0, 4)}-${raw.slice(4, 8)}-${raw.slice(8, 12)}`;
+};
+
+// Check whether the card can be spent
+giftCardSchema.methods.isUsable = function() {
+  return this.isActive && this.balance > 0 && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
\ No newline at end of file
@@ -11,6 +11,24 @@ const categoriesRoutes = require('./categoriesRoutes');
 const productsRoutes = require('./productsRoutes');
 const usersRoutes = require('./usersRoutes');
 const ordersRoutes = require('./ordersRoutes');
+const cartRoutes = require('./cartRoutes');
+const invitationsRoutes = require('./invitationsRoutes');
+const rolesRoutes = require('./rolesRoutes');
+const couponsRoutes = require('./couponsRoutes');
+const taxRatesRoutes = require('./taxRatesRoutes');
+const shippingRoutes = require('./shippingRoutes');
+const deliverySlotsRoutes = require('./deliverySlotsRoutes');
+const paymentsRoutes = require('./paymentsRoutes');
+const returnsRoutes = require('./returnsRoutes');
+const walletRoutes = require('./walletRoutes');
+const markdownsRoutes = require('./markdownsRoutes');
+const stockMovementsRoutes = require('./stockMovementsRoutes');
+const inventoryRoutes = require('./inventoryRoutes');
+const notificationsRoutes = require('./notificationsRoutes');
+const suppliersRoutes = require('./suppliersRoutes');
+const purchaseOrdersRoutes = require('./purchaseOrdersRoutes');
+const { startReservationSweeper } = require('./inventoryController');
+const { startMarkdownScheduler } = require('./markdownController');
 
 const app = express();
 
@@ -26,12 +44,24 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body for verifying payment webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// MongoDB connection
+// MongoDB connection (order placement uses transactions, so this must be a replica set)
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected successfully'))
+  .then(() => {
+    console.log('MongoDB connected successfully');
+    // Release expired cart holds and unpaid pending orders
+    startReservationSweeper(parseInt(process.env.RESERVATION_SWEEP_INTERVAL) || 60 * 1000);
+    // Mark down near-expiry products and take expired ones off sale
+    startMarkdownScheduler(parseInt(process.env.MARKDOWN_RUN_INTERVAL) || 60 * 60 * 1000);
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -40,6 +70,22 @@ app.use('/api/categories', categoriesRoutes);
 app.use('/api/products', productsRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/orders', ordersRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/invitations', invitationsRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/coupons', couponsRoutes);
+app.use('/api/tax-rates', taxRatesRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/delivery-slots', deliverySlotsRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/returns', returnsRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/markdowns', markdownsRoutes);
+app.use('/api/stock-movements', stockMovementsRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/suppliers', suppliersRoutes);
+app.use('/api/purchase-orders', purchaseOrdersRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
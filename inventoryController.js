@@ -0,0 +1,679 @@
+const mongoose = require('mongoose');
+const Product = require('./productModel');
+const Reservation = require('./reservationModel');
+const StockLot = require('./stockLotModel');
+const StockMovement = require('./stockMovementModel');
+const Order = require('./orderModel');
+const { releaseCouponRedemption } = require('./promotionsController');
+const { releaseDeliverySlot } = require('./deliveryController');
+const { releaseOrderTenders } = require('./walletController');
+const { notify, sendNotifications } = require('./notificationController');
+
+// How long cart holds and unpaid pending orders keep stock, in minutes
+const CART_RESERVATION_TTL = parseInt(process.env.CART_RESERVATION_TTL) || 30;
+const ORDER_RESERVATION_TTL = parseInt(process.env.ORDER_RESERVATION_TTL) || 60;
+
+// Query condition and update paths for the stock of a product, or of one of its variants.
+// The condition only matches while unreserved stock covers `quantity`.
+const stockTarget = (productId, variantId, quantity = 0) => {
+  if (!variantId) {
+    return {
+      filter: {
+        _id: productId,
+        isActive: true,
+        $expr: { $gte: [{ $subtract: ['$stock', '$reserved'] }, quantity] }
+      },
+      field: (name) => name,
+      options: {}
+    };
+  }
+
+  const id = new mongoose.Types.ObjectId(variantId.toString());
+  const variant = { $arrayElemAt: [{ $filter: { input: '$variants', cond: { $eq: ['$$this._id', id] } } }, 0] };
+  return {
+    filter: {
+      _id: productId,
+      isActive: true,
+      variants: { $elemMatch: { _id: id, isActive: true } },
+      $expr: {
+        $let: {
+          vars: { variant },
+          in: { $gte: [{ $subtract: ['$$variant.stock', '$$variant.reserved'] }, quantity] }
+        }
+      }
+    },
+    field: (name) => `variants.$[variant].${name}`,
+    options: { arrayFilters: [{ 'variant._id': id }] }
+  };
+};
+
+// Build an $inc on stock counters ({ stock, reserved }) for a product or variant
+const stockIncrement = (target, changes) => {
+  const inc = {};
+  Object.entries(changes).forEach(([name, value]) => {
+    inc[target.field(name)] = value;
+  });
+  return { $inc: inc };
+};
+
+// Change stock counters of a product or variant without an availability check.
+// Returns the updated product.
+const adjustStock = (productId, variantId, changes, session) => {
+  const target = stockTarget(productId, variantId);
+  return Product.findOneAndUpdate(
+    { _id: productId },
+    stockIncrement(target, changes),
+    { ...target.options, new: true, session }
+  );
+};
+
+// Stock of a product, or of one of its variants, on a product document
+const stockOf = (product, variantId) => {
+  if (!variantId) {
+    return product.stock;
+  }
+  const variant = product.variants.id(variantId);
+  return variant ? variant.stock : 0;
+};
+
+// Change stock counters only while unreserved stock covers `quantity`.
+// Returns the updated product, or null if there was not enough stock.
+const adjustAvailableStock = (productId, variantId, quantity, changes, session) => {
+  const target = stockTarget(productId, variantId, quantity);
+  return Product.findOneAndUpdate(
+    target.filter,
+    stockIncrement(target, changes),
+    { ...target.options, new: true, session }
+  );
+};
+
+// Unreserved stock a product or variant has, or 0 if it cannot be sold
+const availableFor = (product, variantId) => {
+  const sellable = product && product.isActive ? product.getSellable(variantId) : null;
+  return sellable ? sellable.availableStock : 0;
+};
+
+// Take an order line's quantity from its sellable lots, first-expiry-first-out.
+// Returns the allocations ([] when the product does not track lots), or null if the lots cannot cover it.
+const allocateLots = async (item, session) => {
+  const line = { product: item.product, variant: item.variant || null };
+  if (!await StockLot.exists(line).session(session)) {
+    return [];
+  }
+
+  const lots = StockLot.sortFefo(await StockLot.find({ ...line, ...StockLot.sellableFilter() }).session(session));
+  const allocations = [];
+  let remaining = item.quantity;
+
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const quantity = Math.min(remaining, lot.quantity);
+    const result = await StockLot.updateOne(
+      { _id: lot._id, quantity: { $gte: quantity } },
+      { $inc: { quantity: -quantity } },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+    allocations.push({ lot: lot._id, lotNumber: lot.lotNumber, quantity, expiresAt: lot.expiresAt });
+    remaining -= quantity;
+  }
+
+  return remaining > 0 ? null : allocations;
+};
+
+// Put a line's quantity back into the lots it was allocated from
+const restoreLots = async (item, session) => {
+  let remaining = item.quantity;
+  for (const allocation of item.lots) {
+    const quantity = Math.min(remaining, allocation.quantity);
+    if (quantity <= 0) break;
+    await StockLot.updateOne({ _id: allocation.lot }, { $inc: { quantity } }, { session });
+    remaining -= quantity;
+  }
+};
+
+// Lot number of the lot holding a product's (or variant's) stock from before it tracked lots
+const openingLotNumber = (variantId) => variantId ? `OPENING-${variantId}` : 'OPENING';
+
+// Put back a line sold before its product tracked lots into the opening lot, which holds the
+// stock from before the lots. Products that had no stock then get one.
+const restoreToOpeningLot = (item, session) => {
+  return StockLot.updateOne(
+    { product: item.product, lotNumber: openingLotNumber(item.variant) },
+    { $inc: { quantity: item.quantity }, $setOnInsert: { variant: item.variant || undefined } },
+    { upsert: true, session }
+  );
+};
+
+// Delete a reservation matching the filter and give its quantity back to the product
+const releaseReservation = async (id, filter, session) => {
+  const reservation = await Reservation.findOneAndDelete({ _id: id, ...filter }, { session });
+  if (reservation) {
+    await adjustStock(reservation.product, reservation.variant, { reserved: -reservation.quantity }, session);
+  }
+  return reservation;
+};
+
+// Set a lot-tracked product's (or variant's) stock to the sum of its sellable lots, and the
+// product's expiry date to the earliest sellable lot's. Products without lots are left alone.
+// Any change is logged as a stock movement described by `context` (see logStockMovement).
+// Returns the new stock, or null if the product does not track lots.
+exports.syncLotStock = async (productId, variantId, session, context = { type: 'adjustment' }) => {
+  const line = { product: productId, variant: variantId || null };
+  if (!await StockLot.exists(line).session(session || null)) {
+    return null;
+  }
+
+  const now = new Date();
+  const lots = await StockLot.find({ ...line, ...StockLot.sellableFilter(now) }).session(session || null);
+  const stock = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+  const [nextExpiring] = await StockLot.find({
+    product: productId,
+    quantity: { $gt: 0 },
+    expiresAt: { $gt: now }
+  }).sort({ expiresAt: 1 }).limit(1).session(session || null);
+
+  const target = stockTarget(productId, variantId);
+  const update = { $set: { [target.field('stock')]: stock } };
+  if (nextExpiring) {
+    update.$set.expiryDate = nextExpiring.expiresAt;
+  } else {
+    update.$unset = { expiryDate: '' };
+  }
+  const previous = await Product.findOneAndUpdate({ _id: productId }, update, { ...target.options, session });
+  if (previous) {
+    // Only stock going up is a receipt; a drop found while syncing is an adjustment
+    const stockBefore = stockOf(previous, variantId);
+    const movement = context.type === 'receipt' && stock < stockBefore ? { ...context, type: 'adjustment' } : context;
+    await exports.logStockMovement(productId, variantId, stockBefore, stock, movement, session);
+  }
+
+  return stock;
+};
+
+// Turn the stock a product (or variant) held before it tracked lots into an opening lot,
+// best before the product's expiry date. Returns the lot, or null if there was no stock.
+const openLotTracking = async (productId, variantId, context, session) => {
+  const product = await Product.findById(productId).session(session || null);
+  const stocked = product && (variantId ? product.variants.id(variantId) : product);
+  if (!stocked || stocked.stock <= 0) {
+    return null;
+  }
+
+  const [lot] = await StockLot.create([{
+    product: productId,
+    variant: variantId || undefined,
+    lotNumber: openingLotNumber(variantId),
+    quantity: stocked.stock,
+    expiresAt: product.expiryDate,
+    createdBy: context.actor
+  }], { session });
+  // Opening stock already past its date is written off rather than kept on sale
+  await exports.syncLotStock(productId, variantId, session, {
+    ...context,
+    type: 'write_off',
+    lot: lot._id,
+    note: 'Opening stock past its expiry date'
+  });
+  return lot;
+};
+
+// Receive a new lot ({ product, variant, lotNumber, quantity, receivedAt, expiresAt }) and sync
+// stock to the sellable lots, logging a receipt described by `context` ({ actor, purchaseOrder, note }).
+// The first lot of a product (or variant) keeps the stock it already holds as an opening lot.
+// Returns the new lot.
+exports.addStockLot = async (lotData, context, session) => {
+  const line = { product: lotData.product, variant: lotData.variant || null };
+  if (!await StockLot.exists(line).session(session || null)) {
+    await openLotTracking(lotData.product, lotData.variant, context, session);
+  }
+
+  const [lot] = await StockLot.create([{
+    ...lotData,
+    variant: lotData.variant || undefined,
+    createdBy: context.actor
+  }], { session });
+  await exports.syncLotStock(lotData.product, lotData.variant, session, { ...context, type: 'receipt', lot: lot._id });
+  return lot;
+};
+
+// Take lots past their best-before date out of sellable stock, writing off what they held
+exports.expireLots = async () => {
+  const now = new Date();
+  const lots = await StockLot.find({ expiresAt: { $lte: now }, expiredAt: null });
+
+  // Group the lots by the stock they belong to so each product or variant is synced once
+  const groups = new Map();
+  for (const lot of lots) {
+    await StockLot.updateOne({ _id: lot._id }, { expiredAt: now });
+    const key = exports.stockKey(lot.product, lot.variant);
+    groups.set(key, [...(groups.get(key) || []), lot]);
+  }
+
+  for (const group of groups.values()) {
+    const [first] = group;
+    await exports.syncLotStock(first.product, first.variant, null, {
+      type: 'write_off',
+      lot: group.length === 1 ? first._id : undefined,
+      note: `Expired lot${group.length === 1 ? '' : 's'} ${group.map(lot => lot.lotNumber).join(', ')}`
+    });
+  }
+  return lots.length;
+};
+
+// Raise a low-stock notification when stock falls to or below the reorder point
+const checkReorderPoint = async (productId, variantId, stockBefore, stockAfter, context, session) => {
+  const product = await Product.findById(productId)
+    .select('name sku reorderPoint reorderQuantity variants')
+    .session(session || null);
+  const stocked = product && (variantId ? product.variants.id(variantId) : product);
+  if (!stocked || stocked.reorderPoint === undefined || stocked.reorderPoint === null) {
+    return;
+  }
+  if (stockBefore <= stocked.reorderPoint || stockAfter > stocked.reorderPoint) {
+    return;
+  }
+
+  const name = variantId ? `${product.name} (${stocked.name})` : product.name;
+  const notification = {
+    type: 'low_stock',
+    title: `Low stock: ${name}`,
+    message: `${name} is down to ${stockAfter} (reorder point ${stocked.reorderPoint})`,
+    permission: 'inventory:write',
+    product: product._id,
+    variant: variantId || undefined,
+    data: {
+      sku: stocked.sku,
+      stock: stockAfter,
+      reorderPoint: stocked.reorderPoint,
+      reorderQuantity: stocked.reorderQuantity
+    }
+  };
+  if (context.notifications) {
+    context.notifications.push(notification);
+  } else {
+    await notify(notification);
+  }
+};
+
+// Log a change of a product's (or variant's) stock from `stockBefore` to `stockAfter`.
+// `context` is { type, actor, order, returnRequest, purchaseOrder, lot, note, notifications }; unchanged
+// stock is not logged. Stock held before the first logged movement is recorded as an opening balance,
+// so the ledger adds up to the current stock. Stock falling through its reorder point raises a low-stock
+// notification; inside a transaction pass a `notifications` array to collect it, and send it with
+// sendNotifications once the transaction commits.
+exports.logStockMovement = async (productId, variantId, stockBefore, stockAfter, context, session) => {
+  if (stockBefore === stockAfter) {
+    return null;
+  }
+  if (stockAfter < stockBefore) {
+    await checkReorderPoint(productId, variantId, stockBefore, stockAfter, context, session);
+  }
+  if (stockBefore !== 0 &&
+    !await StockMovement.exists({ product: productId, variant: variantId || null }).session(session || null)) {
+    await StockMovement.create([{
+      product: productId,
+      variant: variantId || undefined,
+      type: 'opening_balance',
+      quantity: stockBefore,
+      stockBefore: 0,
+      stockAfter: stockBefore,
+      note: 'Stock on hand before the movement ledger'
+    }], { session });
+  }
+  const [movement] = await StockMovement.create([{
+    product: productId,
+    variant: variantId || undefined,
+    lot: context.lot,
+    type: context.type,
+    quantity: stockAfter - stockBefore,
+    stockBefore,
+    stockAfter,
+    actor: context.actor,
+    order: context.order,
+    returnRequest: context.returnRequest,
+    purchaseOrder: context.purchaseOrder,
+    note: context.note
+  }], { session });
+  return movement;
+};
+
+// Set a product's (or variant's) stock, logging the change as described by `context`.
+// Returns the updated product, or null if it was not found.
+exports.setStock = async (productId, variantId, stock, context, session) => {
+  const target = stockTarget(productId, variantId);
+  const previous = await Product.findOneAndUpdate(
+    { _id: productId },
+    { $set: { [target.field('stock')]: stock } },
+    { ...target.options, session }
+  );
+  if (!previous) {
+    return null;
+  }
+  await exports.logStockMovement(productId, variantId, stockOf(previous, variantId), stock, context, session);
+  return Product.findById(productId).session(session || null);
+};
+
+// Add `quantity` (negative to take stock away) to a product's (or variant's) stock as one
+// increment, so sales made since the stock was read are kept. Stock never goes below zero.
+// Returns the updated product, or null if it was not found or holds less than is taken away.
+exports.incrementStock = async (productId, variantId, quantity, context, session) => {
+  const target = stockTarget(productId, variantId);
+  const filter = { _id: productId };
+  if (quantity < 0) {
+    Object.assign(filter, variantId
+      ? { variants: { $elemMatch: { _id: variantId, stock: { $gte: -quantity } } } }
+      : { stock: { $gte: -quantity } });
+  }
+  const updated = await Product.findOneAndUpdate(
+    filter,
+    stockIncrement(target, { stock: quantity }),
+    { ...target.options, new: true, session }
+  );
+  if (!updated) {
+    return null;
+  }
+  const stockAfter = stockOf(updated, variantId);
+  await exports.logStockMovement(productId, variantId, stockAfter - quantity, stockAfter, context, session);
+  return updated;
+};
+
+// Add received stock ({ product, variant, quantity, lotNumber, expiresAt }) as a logged receipt.
+// Lot-tracked stock, or any receipt with a lot number, is received as a new lot.
+// Returns the new lot, if one was created.
+exports.receiveStock = async (item, context, session) => {
+  const line = { product: item.product, variant: item.variant || null };
+  const movement = { ...context, type: 'receipt' };
+
+  if (item.lotNumber || await StockLot.exists(line).session(session || null)) {
+    if (!item.lotNumber) {
+      throw new Error('Lot number is required for lot-tracked stock');
+    }
+    return exports.addStockLot({
+      product: item.product,
+      variant: item.variant,
+      lotNumber: item.lotNumber,
+      quantity: item.quantity,
+      expiresAt: item.expiresAt
+    }, context, session);
+  }
+
+  const updated = await adjustStock(item.product, item.variant, { stock: item.quantity }, session);
+  if (updated) {
+    const stockAfter = stockOf(updated, item.variant);
+    await exports.logStockMovement(item.product, item.variant, stockAfter - item.quantity, stockAfter, movement, session);
+  }
+  return null;
+};
+
+// Key identifying the stock of a product or one of its variants
+exports.stockKey = (productId, variantId) => {
+  return variantId ? `${productId}:${variantId}` : productId.toString();
+};
+
+// Expiry date for a pending order's stock
+exports.orderReservationExpiry = () => {
+  return new Date(Date.now() + ORDER_RESERVATION_TTL * 60 * 1000);
+};
+
+// Map of stockKey -> quantity currently held by the user's cart
+exports.getCartHolds = async (userId) => {
+  const reservations = await Reservation.find({ user: userId });
+  return new Map(reservations.map(r => [exports.stockKey(r.product, r.variant), r.quantity]));
+};
+
+// Times to retry a cart hold whose reservation another request changed at the same moment
+const HOLD_ATTEMPTS = 5;
+
+// Move a reservation from `held` to `quantity` units, but only while it still holds `held`
+// (or does not exist, for a new hold). Returns whether the change was made.
+const claimHold = async (line, existing, held, quantity) => {
+  const expiresAt = new Date(Date.now() + CART_RESERVATION_TTL * 60 * 1000);
+  if (existing && quantity > 0) {
+    return Boolean(await Reservation.findOneAndUpdate({ _id: existing._id, quantity: held }, { quantity, expiresAt }));
+  }
+  if (existing) {
+    return Boolean(await Reservation.findOneAndDelete({ _id: existing._id, quantity: held }));
+  }
+  if (quantity === 0) {
+    return true;
+  }
+  try {
+    await Reservation.create({ ...line, quantity, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Set the user's hold on a product (or variant) to the given quantity and refresh its expiry.
+// Only the difference from the current hold is taken from (or given back to) available stock.
+// The reserved counter moves first; if another request changed the hold in the meantime the
+// difference is given back and worked out again, so the counter always matches the holds.
+// Returns { success, available } where available includes what the user already holds.
+exports.holdForCart = async (userId, productId, quantity, variantId) => {
+  const line = { user: userId, product: productId, variant: variantId || null };
+
+  for (let attempt = 0; attempt < HOLD_ATTEMPTS; attempt++) {
+    const existing = await Reservation.findOne(line);
+    const held = existing ? existing.quantity : 0;
+    const delta = quantity - held;
+
+    if (delta > 0) {
+      const updated = await adjustAvailableStock(productId, variantId, delta, { reserved: delta });
+
+      if (!updated) {
+        const product = await Product.findById(productId);
+        return {
+          success: false,
+          available: availableFor(product, variantId) + held
+        };
+      }
+    } else if (delta < 0) {
+      await adjustStock(productId, variantId, { reserved: delta });
+    }
+
+    if (await claimHold(line, existing, held, quantity)) {
+      return { success: true, available: quantity };
+    }
+    if (delta !== 0) {
+      await adjustStock(productId, variantId, { reserved: -delta });
+    }
+  }
+  throw new Error('Cart hold was changed by another request, please retry');
+};
+
+// Release the user's cart holds, optionally only for the given lines ({ product, variant })
+exports.releaseCartHolds = async (userId, lines, session) => {
+  const query = { user: userId };
+  if (lines) {
+    query.$or = lines.map(line => ({ product: line.product, variant: line.variant || null }));
+    if (query.$or.length === 0) {
+      return;
+    }
+  }
+
+  const reservations = await Reservation.find(query).session(session || null);
+  for (const reservation of reservations) {
+    await releaseReservation(reservation._id, {}, session);
+  }
+};
+
+// Decrement stock for each order line ({ product, variant, quantity }) inside the given session.
+// Each decrement only matches while unreserved stock >= quantity, so concurrent orders cannot oversell.
+// Lot-tracked lines are allocated first-expiry-first-out and the allocations are stored on `item.lots`.
+// Each decrement is logged as a sale; `context` is { order, actor }.
+// Callers should release the buyer's own cart holds first so they count towards what they can buy.
+// Returns the lines that could not be fulfilled; the caller should abort the transaction if any.
+exports.decrementStock = async (items, session, context = {}) => {
+  const failures = [];
+
+  for (const item of items) {
+    const updated = await adjustAvailableStock(item.product, item.variant, item.quantity, { stock: -item.quantity }, session);
+
+    if (!updated) {
+      const product = await Product.findById(item.product).session(session);
+      const sellable = product && product.isActive ? product.getSellable(item.variant) : null;
+      failures.push({
+        product: item.product,
+        variant: item.variant,
+        name: product ? product.name : undefined,
+        requested: item.quantity,
+        available: availableFor(product, item.variant),
+        reason: sellable ? 'Insufficient stock' : 'Product not found or unavailable'
+      });
+      continue;
+    }
+
+    const lots = await allocateLots(item, session);
+    if (!lots) {
+      // Stock still counted lots that expired since the last sweep
+      failures.push({
+        product: item.product,
+        variant: item.variant,
+        name: updated.name,
+        requested: item.quantity,
+        reason: 'Insufficient unexpired stock'
+      });
+      continue;
+    }
+
+    if (lots.length > 0) {
+      item.lots = lots;
+    }
+
+    const stockAfter = stockOf(updated, item.variant);
+    await exports.logStockMovement(item.product, item.variant, stockAfter + item.quantity, stockAfter, {
+      ...context,
+      type: 'sale',
+      lot: lots.length === 1 ? lots[0].lot : undefined
+    }, session);
+  }
+
+  return failures;
+};
+
+// Put stock back for each order line ({ product, variant, quantity, lots }) inside the given session.
+// Lines allocated from lots go back into those lots; expired lots stay out of sellable stock.
+// Lines sold before their product tracked lots go back into its opening lot.
+// `context` describes the movement, e.g. { type: 'return', returnRequest, actor }; it defaults
+// to a cancellation.
+exports.restoreStock = async (items, session, context = {}) => {
+  const movement = { type: 'cancellation', ...context };
+
+  for (const item of items) {
+    if (item.lots && item.lots.length > 0) {
+      await restoreLots(item, session);
+      await exports.syncLotStock(item.product, item.variant, session, movement);
+      continue;
+    }
+    // Sold before the product tracked lots; its stock is now the sum of the lots
+    if (await StockLot.exists({ product: item.product, variant: item.variant || null }).session(session || null)) {
+      await restoreToOpeningLot(item, session);
+      await exports.syncLotStock(item.product, item.variant, session, movement);
+      continue;
+    }
+
+    const updated = await adjustStock(item.product, item.variant, { stock: item.quantity }, session);
+    if (updated) {
+      const stockAfter = stockOf(updated, item.variant);
+      await exports.logStockMovement(item.product, item.variant, stockAfter - item.quantity, stockAfter, movement, session);
+    }
+  }
+};
+
+// Release cart holds whose expiry has passed
+exports.releaseExpiredReservations = async () => {
+  const now = new Date();
+  const expired = await Reservation.find({ expiresAt: { $lte: now } }).select('_id');
+
+  let released = 0;
+  for (const reservation of expired) {
+    // Re-check expiry in case the hold was refreshed since it was read
+    if (await releaseReservation(reservation._id, { expiresAt: { $lte: now } })) {
+      released++;
+    }
+  }
+  return released;
+};
+
+// Cancel pending orders that were never paid and put their stock back
+exports.cancelExpiredOrders = async () => {
+  const now = new Date();
+  const expired = await Order.find({
+    status: 'pending',
+    paymentStatus: { $ne: 'paid' },
+    reservedUntil: { $lte: now }
+  }).select('_id');
+
+  let cancelled = 0;
+  for (const { _id } of expired) {
+    const session = await mongoose.startSession();
+    const notifications = [];
+    try {
+      session.startTransaction();
+
+      const order = await Order.findOneAndUpdate(
+        { _id, status: 'pending', paymentStatus: { $ne: 'paid' } },
+        {
+          status: 'cancelled',
+          cancelledAt: now,
+          cancelReason: 'Reservation expired before payment',
+          $push: {
+            statusHistory: {
+              from: 'pending',
+              status: 'cancelled',
+              changedAt: now,
+              note: 'Reservation expired before payment'
+            }
+          }
+        },
+        { new: true, session }
+      );
+
+      if (order) {
+        await exports.restoreStock(order.items, session, {
+          order: order._id,
+          note: 'Reservation expired before payment',
+          notifications
+        });
+        await releaseCouponRedemption(order._id, session);
+        await releaseDeliverySlot(order, session);
+        await releaseOrderTenders(order, session);
+        cancelled++;
+      }
+
+      await session.commitTransaction();
+      sendNotifications(notifications);
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      console.error(`Failed to release expired order ${_id}:`, error.message);
+    } finally {
+      await session.endSession();
+    }
+  }
+  return cancelled;
+};
+
+// Periodically release expired cart holds and unpaid orders
+exports.startReservationSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      await exports.releaseExpiredReservations();
+      await exports.cancelExpiredOrders();
+      await exports.expireLots();
+    } catch (error) {
+      console.error('Reservation sweep failed:', error.message);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
\ No newline at end of file
@@ -0,0 +1,221 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Product = require('./productModel');
+const StockMovement = require('./stockMovementModel');
+const { protect, can } = require('./authController');
+const { stockKey } = require('./inventoryController');
+
+const router = express.Router();
+
+// Days of recent sales used for order velocity
+const VELOCITY_DAYS = parseInt(process.env.LOW_STOCK_VELOCITY_DAYS) || 30;
+
+const LOW_STOCK_COLUMNS = [
+  'name', 'variantName', 'sku', 'stock', 'reserved', 'available', 'reorderPoint',
+  'reorderQuantity', 'dailyVelocity', 'daysOfCover', 'suggestedOrderQuantity'
+];
+
+// Quote a value for a CSV cell. Text a spreadsheet would read as a formula is prefixed
+// with a quote so it shows as text.
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Low-stock report: products (or variants) at or below their reorder point, or with fewer
+// than `coverDays` days of stock at the recent sales rate, lowest cover first (inventory:write).
+// Add format=csv to download it.
+router.get('/low-stock', [
+  protect,
+  can('inventory:write'),
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+  query('coverDays').optional().isFloat({ min: 0 }).withMessage('Cover days must be a non-negative number'),
+  query('targetDays').optional().isFloat({ min: 1 }).withMessage('Target days must be at least 1'),
+  query('category').optional().isMongoId().withMessage('Valid category ID is required'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const days = parseInt(req.query.days) || VELOCITY_DAYS;
+    const coverDays = req.query.coverDays !== undefined ? parseFloat(req.query.coverDays) : 7;
+    const targetDays = parseFloat(req.query.targetDays) || 14;
+    const { category, format = 'json' } = req.query;
+
+    const filter = { isActive: true };
+    if (category) {
+      filter.category = category;
+    }
+    const products = await Product.find(filter)
+      .select('name sku stock reserved reorderPoint reorderQuantity variants category');
+
+    // Units sold per product and variant over the period, net of cancellations
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const sales = await StockMovement.aggregate([
+      { $match: { type: { $in: ['sale', 'cancellation'] }, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { product: '$product', variant: '$variant' },
+          sold: { $sum: { $multiply: ['$quantity', -1] } }
+        }
+      }
+    ]);
+    const soldMap = new Map(sales.map(s => [stockKey(s._id.product, s._id.variant), Math.max(0, s.sold)]));
+
+    // Products with variants keep stock per variant
+    const lines = [];
+    products.forEach(product => {
+      const stocked = product.variants.length > 0
+        ? product.variants.filter(variant => variant.isActive).map(variant => ({ variant, key: stockKey(product._id, variant._id) }))
+        : [{ variant: null, key: stockKey(product._id) }];
+
+      stocked.forEach(({ variant, key }) => {
+        const source = variant || product;
+        const available = Math.max(0, source.stock - (source.reserved || 0));
+        const dailyVelocity = Math.round((soldMap.get(key) || 0) / days * 100) / 100;
+        const daysOfCover = dailyVelocity > 0
+          ? Math.round(available / dailyVelocity * 10) / 10
+          : (available === 0 ? 0 : null);
+        const hasReorderPoint = source.reorderPoint !== undefined && source.reorderPoint !== null;
+        const belowReorderPoint = hasReorderPoint && source.stock <= source.reorderPoint;
+
+        if (!belowReorderPoint && (daysOfCover === null || daysOfCover > coverDays)) {
+          return;
+        }
+
+        lines.push({
+          product: product._id,
+          variant: variant ? variant._id : undefined,
+          name: product.name,
+          variantName: variant ? variant.name : undefined,
+          sku: source.sku,
+          stock: source.stock,
+          reserved: source.reserved || 0,
+          available,
+          reorderPoint: hasReorderPoint ? source.reorderPoint : null,
+          reorderQuantity: source.reorderQuantity || null,
+          belowReorderPoint,
+          dailyVelocity,
+          daysOfCover,
+          suggestedOrderQuantity: source.reorderQuantity ||
+            Math.max(0, Math.ceil(dailyVelocity * targetDays) - available)
+        });
+      });
+    });
+
+    // Lowest cover first; products that are not selling go last
+    lines.sort((a, b) => {
+      const aCover = a.daysOfCover === null ? Infinity : a.daysOfCover;
+      const bCover = b.daysOfCover === null ? Infinity : b.daysOfCover;
+      return aCover - bCover || b.dailyVelocity - a.dailyVelocity;
+    });
+
+    if (format === 'csv') {
+      const rows = [
+        LOW_STOCK_COLUMNS.join(','),
+        ...lines.map(line => LOW_STOCK_COLUMNS.map(column => csvCell(line[column])).join(','))
+      ];
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="low-stock-${date}.csv"`);
+      return res.status(200).send(rows.join('\n'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lines,
+        period: { days, since },
+        coverDays,
+        targetDays
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Margin report: selling price against weighted average cost for every product (or variant)
+// with a cost price, thinnest margin first, plus the cost value of stock on hand (purchasing:manage)
+router.get('/margins', [
+  protect,
+  can('purchasing:manage'),
+  query('category').optional().isMongoId().withMessage('Valid category ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { isActive: true };
+    if (req.query.category) {
+      filter.category = req.query.category;
+    }
+    const products = await Product.find(filter)
+      .select('name sku price stock variants category +costPrice +variants.costPrice');
+
+    const lines = [];
+    products.forEach(product => {
+      const stocked = product.variants.length > 0 ? product.variants.filter(variant => variant.isActive) : [product];
+      stocked.forEach(source => {
+        if (source.costPrice === undefined || source.costPrice === null) {
+          return;
+        }
+        const isVariant = source !== product;
+        lines.push({
+          product: product._id,
+          variant: isVariant ? source._id : null,
+          name: product.name,
+          variantName: isVariant ? source.name : null,
+          sku: source.sku,
+          price: source.price,
+          costPrice: source.costPrice,
+          margin: source.margin,
+          stock: source.stock,
+          stockValue: Math.round(source.stock * source.costPrice * 100) / 100
+        });
+      });
+    });
+
+    // Thinnest margins first; lines without a selling price have no margin and go last
+    lines.sort((a, b) => {
+      if (a.margin === null || b.margin === null) {
+        return (a.margin === null) - (b.margin === null);
+      }
+      return a.margin - b.margin;
+    });
+    const stockValue = Math.round(lines.reduce((sum, line) => sum + line.stockValue, 0) * 100) / 100;
+
+    res.status(200).json({
+      success: true,
+      data: { lines, stockValue }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
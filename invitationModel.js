@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Invitation for a given email to register with a given role
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required']
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for invitation status
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+// Ensure virtuals are included in JSON output
+invitationSchema.set('toJSON', { virtuals: true });
+invitationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
\ No newline at end of file
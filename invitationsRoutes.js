@@ -0,0 +1,170 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Invitation = require('./invitationModel');
+const User = require('./userModel');
+const Role = require('./roleModel');
+const { protect, can, generateInviteToken } = require('./authController');
+const { sendMail } = require('./mailer');
+const { coversPermissions } = require('./permissions');
+
+const router = express.Router();
+
+// Invitation lifetime in days
+const INVITE_EXPIRE_DAYS = parseInt(process.env.INVITE_EXPIRE_DAYS) || 7;
+
+// Get all invitations (users:invite)
+router.get('/', protect, can('users:invite'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, email } = req.query;
+
+    let query = {};
+
+    // Filter by email
+    if (email) {
+      query.email = { $regex: email, $options: 'i' };
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'firstName lastName email')
+      .populate('acceptedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invitation.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create invitation (users:invite)
+router.post('/', [
+  protect,
+  can('users:invite'),
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('role').trim().notEmpty().withMessage('Role is required')
+    .custom(async role => {
+      if (!(await Role.isDefined(role))) {
+        throw new Error('Role does not exist');
+      }
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role } = req.body;
+
+    // Staff can only invite to roles within their own permissions
+    if (!coversPermissions(req.permissions, await Role.permissionsFor(role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot invite users to a role with more permissions than your own'
+      });
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    // Revoke earlier pending invitations for the same email
+    await Invitation.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const invitation = await Invitation.create({
+      email,
+      role,
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    const inviteToken = generateInviteToken(invitation);
+    const link = `${process.env.CLIENT_URL || 'http://localhost:3000'}/register?invite=${inviteToken}`;
+
+    await sendMail({
+      to: email,
+      subject: 'You have been invited to FreshMart',
+      text: `${req.user.firstName} ${req.user.lastName} invited you to join FreshMart as ${role}.\n\nRegister using this link:\n${link}\n\nThe invitation expires in ${INVITE_EXPIRE_DAYS} days.`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: { invitation, inviteToken }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Revoke invitation (users:invite)
+router.delete('/:id', protect, can('users:invite'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: { invitation }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
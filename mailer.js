@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Built-in transports. A transport is an object with an async send(message) method,
+// where message is { to, subject, text, html }.
+const transports = {
+  // Print mail to the console (default, for local development)
+  console: {
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+  },
+
+  // Write each mail as a JSON file into MAIL_DIR (for local testing)
+  file: {
+    send: async (message) => {
+      const dir = process.env.MAIL_DIR || path.join(__dirname, 'mail');
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.-]/g, '_')}.json`;
+      await fs.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  }
+};
+
+let activeTransport = null;
+
+// Register a custom transport (e.g. SMTP or a mail API) under a name
+exports.registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+};
+
+// Use the given transport instead of the one named by MAIL_TRANSPORT
+exports.setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// Send a mail through the configured transport
+exports.sendMail = async ({ to, subject, text, html }) => {
+  const transport = activeTransport || transports[process.env.MAIL_TRANSPORT || 'console'];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${process.env.MAIL_TRANSPORT}`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'FreshMart <no-reply@freshmart.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
\ No newline at end of file
@@ -0,0 +1,196 @@
+const Product = require('./productModel');
+const MarkdownRule = require('./markdownRuleModel');
+const StockLot = require('./stockLotModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round to cents
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Price after taking percentOff off
+const markDown = (price, percentOff) => roundCurrency(price * (100 - percentOff) / 100);
+
+// Pair each product due a change with what the change is. Markdowns are always worked out
+// from the original prices, so moving to a deeper tier never compounds discounts.
+const planChanges = async ({ productIds, now }) => {
+  const rules = await MarkdownRule.find({ isActive: true });
+  const ruleMap = new Map(rules.map(rule => [rule.category.toString(), rule]));
+
+  const query = {
+    $or: [
+      { isActive: true, expiryDate: { $ne: null } },
+      { 'markdown.appliedAt': { $ne: null } }
+    ]
+  };
+  if (productIds) {
+    query._id = { $in: productIds };
+  }
+  const products = await Product.find(query);
+
+  // Lot-tracked products carry their earliest lot's date; the lot sweeper expires lots one by one
+  const lotTracked = new Set((await StockLot.distinct('product', {
+    product: { $in: products.map(product => product._id) }
+  })).map(id => id.toString()));
+
+  const planned = [];
+  for (const product of products) {
+    const { expiryDate } = product;
+    const markdown = product.markdown && product.markdown.appliedAt ? product.markdown : null;
+    const basePrice = markdown ? markdown.originalPrice : product.price;
+    const change = {
+      product: product._id,
+      name: product.name,
+      category: product.category,
+      expiryDate
+    };
+
+    // Past expiry: take the product off sale. Lot-tracked products are left to the lot sweeper,
+    // which writes off the expired lot and moves the date on to the next one.
+    if (product.isActive && expiryDate && expiryDate <= now) {
+      if (!lotTracked.has(product._id.toString())) {
+        planned.push({ product, change: { ...change, action: 'deactivate' } });
+      }
+      continue;
+    }
+
+    const rule = ruleMap.get(product.category.toString());
+    const tier = rule && expiryDate ? rule.tierFor((expiryDate - now) / DAY_MS) : null;
+
+    if (tier && (!markdown || markdown.percentOff !== tier.percentOff)) {
+      planned.push({
+        product,
+        change: {
+          ...change,
+          action: 'markdown',
+          percentOff: tier.percentOff,
+          price: { from: product.price, to: markDown(basePrice, tier.percentOff) }
+        }
+      });
+    } else if (!tier && markdown) {
+      // Stock was replaced with later-dated stock, or the rule no longer applies
+      planned.push({
+        product,
+        change: {
+          ...change,
+          action: 'revert',
+          price: { from: product.price, to: basePrice }
+        }
+      });
+    }
+  }
+
+  return planned;
+};
+
+// Put a product (and its variants) back to the prices saved when it was marked down
+const restorePrices = (product) => {
+  const { markdown } = product;
+  product.price = markdown.originalPrice;
+  product.comparePrice = markdown.originalComparePrice;
+  markdown.variantPrices.forEach(saved => {
+    const variant = product.variants.id(saved.variant);
+    if (variant) {
+      variant.price = saved.price;
+      variant.comparePrice = saved.comparePrice;
+    }
+  });
+  product.markdown = undefined;
+};
+
+// Apply a planned change to a product document; the original price moves into comparePrice
+const applyChange = (product, change, now) => {
+  if (change.action === 'deactivate') {
+    product.isActive = false;
+    return;
+  }
+
+  if (product.markdown && product.markdown.appliedAt) {
+    restorePrices(product);
+  }
+
+  if (change.action === 'markdown') {
+    product.markdown = {
+      percentOff: change.percentOff,
+      originalPrice: product.price,
+      originalComparePrice: product.comparePrice,
+      variantPrices: product.variants.map(variant => ({
+        variant: variant._id,
+        price: variant.price,
+        comparePrice: variant.comparePrice
+      })),
+      expiryDate: product.expiryDate,
+      appliedAt: now
+    };
+    product.comparePrice = product.price;
+    product.price = markDown(product.price, change.percentOff);
+    product.variants.forEach(variant => {
+      variant.comparePrice = variant.price;
+      variant.price = markDown(variant.price, change.percentOff);
+    });
+  }
+};
+
+// Drop a product's markdown before its price is set by hand, putting every price back first so
+// marked-down variant prices are not mistaken for regular ones. Returns whether there was one.
+exports.clearMarkdown = async (productId) => {
+  const product = await Product.findById(productId);
+  if (!product || !product.markdown || !product.markdown.appliedAt) {
+    return false;
+  }
+  restorePrices(product);
+  await product.save();
+  return true;
+};
+
+// Take a variant out of its product's markdown when its price is set by hand, so reverting the
+// markdown leaves the new price alone. The variant gets back its compare price from before.
+exports.releaseVariantMarkdown = (product, variantId) => {
+  const { markdown } = product;
+  const saved = markdown && markdown.appliedAt &&
+    markdown.variantPrices.find(entry => entry.variant.equals(variantId));
+  if (!saved) {
+    return;
+  }
+  product.variants.id(variantId).comparePrice = saved.comparePrice;
+  markdown.variantPrices = markdown.variantPrices.filter(entry => entry !== saved);
+};
+
+// What a markdown run would change, without saving anything.
+// Returns [{ product, name, category, expiryDate, action, percentOff, price: { from, to } }]
+// where action is 'markdown', 'revert' or 'deactivate'.
+exports.planMarkdowns = async ({ productIds, now = new Date() } = {}) => {
+  const planned = await planChanges({ productIds, now });
+  return planned.map(({ change }) => change);
+};
+
+// Apply markdown rules, reverting markdowns that no longer apply and deactivating expired products.
+// Returns the changes that were made.
+exports.applyMarkdowns = async ({ productIds, now = new Date() } = {}) => {
+  const planned = await planChanges({ productIds, now });
+  const applied = [];
+
+  for (const { product, change } of planned) {
+    try {
+      applyChange(product, change, now);
+      await product.save();
+      applied.push(change);
+    } catch (error) {
+      console.error(`Markdown of product ${product._id} failed:`, error.message);
+    }
+  }
+
+  return applied;
+};
+
+// Run markdown rules periodically
+exports.startMarkdownScheduler = (intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      await exports.applyMarkdowns();
+    } catch (error) {
+      console.error('Markdown run failed:', error.message);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
\ No newline at end of file
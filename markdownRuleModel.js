@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Discount applied once a product is within `daysBeforeExpiry` days of its expiry date
+const markdownTierSchema = new mongoose.Schema({
+  daysBeforeExpiry: {
+    type: Number,
+    required: [true, 'Days before expiry is required'],
+    min: [0, 'Days before expiry cannot be negative']
+  },
+  percentOff: {
+    type: Number,
+    required: [true, 'Percent off is required'],
+    min: [1, 'Percent off must be at least 1'],
+    max: [99, 'Percent off cannot exceed 99']
+  }
+}, {
+  _id: false
+});
+
+// Near-expiry markdown tiers for the products of a category,
+// e.g. 30% off 3 days before expiry and 50% off on the last day
+const markdownRuleSchema = new mongoose.Schema({
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required'],
+    unique: true
+  },
+  tiers: {
+    type: [markdownTierSchema],
+    validate: {
+      validator: (tiers) => tiers.length > 0,
+      message: 'At least one markdown tier is required'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// The deepest discount whose window the given days-to-expiry falls in, or null
+markdownRuleSchema.methods.tierFor = function(daysToExpiry) {
+  return this.tiers
+    .filter(tier => daysToExpiry <= tier.daysBeforeExpiry)
+    .sort((a, b) => b.percentOff - a.percentOff)[0] || null;
+};
+
+module.exports = mongoose.model('MarkdownRule', markdownRuleSchema);
\ No newline at end of file
@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const MarkdownRule = require('./markdownRuleModel');
+const Category = require('./categoryModel');
+const AuditLog = require('./auditLogModel');
+const { protect, can } = require('./authController');
+const { planMarkdowns, applyMarkdowns } = require('./markdownController');
+
+const router = express.Router();
+
+// Markdown rule validation; `optional` relaxes it for updates
+const ruleValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('category').isMongoId().withMessage('Valid category ID is required'),
+    field('tiers').isArray({ min: 1 }).withMessage('At least one markdown tier is required'),
+    body('tiers.*.daysBeforeExpiry').isFloat({ min: 0 }).withMessage('Days before expiry must be a non-negative number'),
+    body('tiers.*.percentOff').isFloat({ min: 1, max: 99 }).withMessage('Percent off must be between 1 and 99'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Get all markdown rules (promotions:write)
+router.get('/rules', protect, can('promotions:write'), async (req, res) => {
+  try {
+    const rules = await MarkdownRule.find()
+      .populate('category', 'name slug')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create a markdown rule for a category (promotions:write)
+router.post('/rules', [
+  protect,
+  can('promotions:write'),
+  ...ruleValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { category, tiers, isActive } = req.body;
+
+    const categoryExists = await Category.findById(category);
+    if (!categoryExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const existingRule = await MarkdownRule.findOne({ category });
+    if (existingRule) {
+      return res.status(400).json({
+        success: false,
+        message: 'This category already has a markdown rule'
+      });
+    }
+
+    const rule = await MarkdownRule.create({ category, tiers, isActive, createdBy: req.user.id });
+    await rule.populate('category', 'name slug');
+
+    res.status(201).json({
+      success: true,
+      message: 'Markdown rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update a markdown rule (promotions:write)
+router.put('/rules/:id', [
+  protect,
+  can('promotions:write'),
+  ...ruleValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await MarkdownRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Markdown rule not found'
+      });
+    }
+
+    const { category, tiers, isActive } = req.body;
+
+    // Check for another rule on the category (if provided and different from current)
+    if (category && category !== rule.category.toString()) {
+      const categoryExists = await Category.findById(category);
+      if (!categoryExists) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      const existingRule = await MarkdownRule.findOne({ category, _id: { $ne: rule._id } });
+      if (existingRule) {
+        return res.status(400).json({
+          success: false,
+          message: 'This category already has a markdown rule'
+        });
+      }
+      rule.category = category;
+    }
+
+    if (tiers !== undefined) rule.tiers = tiers;
+    if (isActive !== undefined) rule.isActive = isActive;
+    await rule.save();
+    await rule.populate('category', 'name slug');
+
+    res.status(200).json({
+      success: true,
+      message: 'Markdown rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete a markdown rule (promotions:write); its markdowns revert on the next run
+router.delete('/rules/:id', protect, can('promotions:write'), async (req, res) => {
+  try {
+    const rule = await MarkdownRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Markdown rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Markdown rule deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Preview what a markdown run would change (promotions:write)
+router.get('/preview', protect, can('promotions:write'), async (req, res) => {
+  try {
+    const changes = await planMarkdowns();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        changes,
+        count: changes.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Run markdown rules now (promotions:write)
+router.post('/run', protect, can('promotions:write'), async (req, res) => {
+  try {
+    const changes = await applyMarkdowns();
+
+    await AuditLog.record('markdowns.run', {
+      actor: req.user.id,
+      ip: req.ip,
+      details: {
+        markedDown: changes.filter(change => change.action === 'markdown').length,
+        reverted: changes.filter(change => change.action === 'revert').length,
+        deactivated: changes.filter(change => change.action === 'deactivate').length
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Markdown rules applied',
+      data: {
+        changes,
+        count: changes.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
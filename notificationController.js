@@ -0,0 +1,30 @@
+const EventEmitter = require('events');
+const Notification = require('./notificationModel');
+
+// Emits 'notification' with each new notification, for pushing to connected clients
+exports.events = new EventEmitter();
+
+// Create an in-app notification and announce it.
+// `notification` is { type, title, message, permission, product, variant, data }.
+exports.notify = async (notification) => {
+  const created = await Notification.create(notification);
+  exports.events.emit('notification', created);
+  return created;
+};
+
+// Send notifications collected during a transaction, once it has committed.
+// Not awaited by callers, so a failed notification is logged rather than failing the request.
+exports.sendNotifications = async (notifications) => {
+  for (const notification of notifications) {
+    try {
+      await exports.notify(notification);
+    } catch (error) {
+      console.error(`Failed to send ${notification.type} notification:`, error.message);
+    }
+  }
+};
+
+// Query condition for the notifications a user with the given permissions can see
+exports.visibleTo = (permissions) => {
+  return permissions.includes('*') ? {} : { permission: { $in: permissions } };
+};
\ No newline at end of file
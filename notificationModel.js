@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// In-app notification for staff holding a permission, e.g. low-stock alerts for inventory:write
+const notificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['low_stock'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  // Staff with this permission see the notification
+  permission: {
+    type: String,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+notificationSchema.index({ permission: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -0,0 +1,113 @@
+const express = require('express');
+const Notification = require('./notificationModel');
+const { protect } = require('./authController');
+const { visibleTo } = require('./notificationController');
+
+const router = express.Router();
+
+// Get notifications for the current user's permissions, newest first
+router.get('/', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread, type } = req.query;
+
+    let query = visibleTo(req.permissions);
+
+    // Only notifications the user has not read
+    if (unread === 'true') {
+      query.readBy = { $ne: req.user.id };
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    const notifications = await Notification.find(query)
+      .populate('product', 'name sku stock')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({
+      ...visibleTo(req.permissions),
+      readBy: { $ne: req.user.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications: notifications.map(notification => ({
+          ...notification.toJSON(),
+          readBy: undefined,
+          isRead: notification.readBy.some(id => id.toString() === req.user.id.toString())
+        })),
+        unreadCount,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Mark all visible notifications as read
+router.patch('/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { ...visibleTo(req.permissions), readBy: { $ne: req.user.id } },
+      { $addToSet: { readBy: req.user.id } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Mark a notification as read
+router.patch('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, ...visibleTo(req.permissions) },
+      { $addToSet: { readBy: req.user.id } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
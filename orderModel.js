@@ -1,11 +1,43 @@
 const mongoose = require('mongoose');
 
+// Quantity of an order line taken from a stock lot
+const lotAllocationSchema = new mongoose.Schema({
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot',
+    required: true
+  },
+  lotNumber: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
 const orderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
     required: true
   },
+  // Variant sold, with its name and SKU at the time of the order
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  sku: {
+    type: String
+  },
   quantity: {
     type: Number,
     required: true,
@@ -20,7 +52,84 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 0
+  },
+  // Tax breakdown for the line
+  taxClass: {
+    type: String,
+    default: 'standard'
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Lots the line was allocated from, first-expiry-first-out
+  lots: [lotAllocationSchema]
+});
+
+// Store credit or gift card used to pay part of an order
+const tenderSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['wallet', 'gift_card'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  giftCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  },
+  // Last characters of the gift card code, for display
+  reference: {
+    type: String
   }
+}, {
+  _id: false
+});
+
+// Allowed status transitions; cancellation is only possible before shipping
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS)
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  _id: false
 });
 
 const orderSchema = new mongoose.Schema({
@@ -37,14 +146,30 @@ const orderSchema = new mongoose.Schema({
   items: [orderItemSchema],
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
   paymentStatus: {
     type: String,
     enum: ['pending', 'paid', 'failed', 'refunded'],
     default: 'pending'
   },
+  paymentProvider: {
+    type: String
+  },
+  paymentIntentId: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  },
+  // Total refunded so far, through returns or refunds issued by staff
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   shippingAddress: {
     firstName: {
       type: String,
@@ -99,6 +224,26 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Whether item prices already included tax when the order was placed
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  shippingMethod: {
+    type: {
+      type: String,
+      enum: ['standard', 'express', 'same_day', 'pickup']
+    },
+    name: String,
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingZone'
+    }
+  },
+  deliverySlot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySlot'
+  },
   shippingCost: {
     type: Number,
     default: 0,
@@ -109,11 +254,28 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   totalAmount: {
     type: Number,
     required: true,
     min: 0
   },
+  tenders: [tenderSchema],
+  // Part of the total paid with store credit and gift cards
+  tenderedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Part of the total left for the payment provider
+  amountDue: {
+    type: Number,
+    min: 0
+  },
   notes: {
     type: String,
     maxlength: 500
@@ -133,6 +295,9 @@ const orderSchema = new mongoose.Schema({
   cancelReason: {
     type: String,
     maxlength: 500
+  },
+  reservedUntil: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -141,7 +306,7 @@ const orderSchema = new mongoose.Schema({
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
   if (this.isNew) {
-    const count = await mongoose.model('Order').countDocuments();
+    const count = await mongoose.model('Order').countDocuments().session(this.$session());
     this.orderNumber = `ORD-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
   }
   next();
@@ -152,12 +317,21 @@ orderSchema.pre('save', function(next) {
   // Calculate subtotal from items
   this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
   
-  // Calculate total amount
-  this.totalAmount = this.subtotal + this.taxAmount + this.shippingCost - this.discountAmount;
+  // Calculate total amount; tax is only added on top when prices exclude it
+  const addedTax = this.pricesIncludeTax ? 0 : this.taxAmount;
+  this.totalAmount = this.subtotal + addedTax + this.shippingCost - this.discountAmount;
+  this.amountDue = Math.max(Math.round((this.totalAmount - this.tenderedAmount) * 100) / 100, 0);
   
   next();
 });
 
+// Check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 // Virtual for full shipping address
 orderSchema.virtual('shippingAddress.fullAddress').get(function() {
   const addr = this.shippingAddress;
@@ -180,5 +354,8 @@ orderSchema.virtual('summary').get(function() {
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ status: 1, reservedUntil: 1 });
+orderSchema.index({ deliverySlot: 1 });
+orderSchema.index({ paymentProvider: 1, paymentIntentId: 1 });
 
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -1,12 +1,175 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Order = require('./orderModel');
 const Product = require('./productModel');
-const { protect, admin } = require('./authController');
+const Cart = require('./cartModel');
+const User = require('./userModel');
+const { protect, can, requireVerifiedEmail } = require('./authController');
+const { hasPermission } = require('./permissions');
+const { evaluateCoupon, redeemCoupon, releaseCouponRedemption } = require('./promotionsController');
+const { calculateTax } = require('./taxController');
+const { calculateShipping } = require('./shippingController');
+const ShippingZone = require('./shippingZoneModel');
+const { reserveDeliverySlot, releaseDeliverySlot } = require('./deliveryController');
+const { recordManualPayment, refundCancelledOrder } = require('./paymentController');
+const { chargeTenders, releaseOrderTenders } = require('./walletController');
+const { sendNotifications } = require('./notificationController');
+const {
+  decrementStock,
+  restoreStock,
+  getCartHolds,
+  stockKey,
+  releaseCartHolds,
+  orderReservationExpiry
+} = require('./inventoryController');
 
 const router = express.Router();
 
-// Get all orders (Admin gets all, Users get their own)
+// Shipping address validation shared by order creation routes.
+// A full shippingAddress is validated when given; otherwise an address book entry is used.
+const whenShippingAddress = body('shippingAddress').exists();
+const shippingAddressValidation = [
+  body('addressId').optional().isMongoId().withMessage('Valid address ID is required'),
+  body('billingAddressId').optional().isMongoId().withMessage('Valid billing address ID is required'),
+  body('shippingAddress.firstName').if(whenShippingAddress).trim().notEmpty().withMessage('First name is required'),
+  body('shippingAddress.lastName').if(whenShippingAddress).trim().notEmpty().withMessage('Last name is required'),
+  body('shippingAddress.street').if(whenShippingAddress).trim().notEmpty().withMessage('Street address is required'),
+  body('shippingAddress.city').if(whenShippingAddress).trim().notEmpty().withMessage('City is required'),
+  body('shippingAddress.state').if(whenShippingAddress).trim().notEmpty().withMessage('State is required'),
+  body('shippingAddress.zipCode').if(whenShippingAddress).trim().notEmpty().withMessage('Zip code is required'),
+  body('shippingAddress.country').if(whenShippingAddress).trim().notEmpty().withMessage('Country is required'),
+  body('shippingAddress.phone').if(whenShippingAddress).trim().notEmpty().withMessage('Phone number is required')
+];
+
+// Resolve the order's shipping and billing addresses from the request body or the
+// customer's address book (by id, falling back to the default entries).
+// Address book entries are copied so the order keeps the address as it was at purchase time.
+const resolveOrderAddresses = async (req) => {
+  const { shippingAddress, billingAddress, addressId, billingAddressId } = req.body;
+
+  let user = null;
+  const loadUser = async () => {
+    if (!user) {
+      user = await User.findById(req.user.id);
+    }
+    return user;
+  };
+
+  let shipping = shippingAddress;
+  if (!shipping) {
+    const book = await loadUser();
+    const entry = addressId
+      ? book.addresses.id(addressId)
+      : book.addresses.find(address => address.isDefaultShipping);
+    if (!entry) {
+      return {
+        error: addressId
+          ? 'Shipping address not found in your address book'
+          : 'A shipping address or addressId is required'
+      };
+    }
+    shipping = book.getAddressSnapshot(entry._id);
+  }
+
+  let billing = billingAddress;
+  if (!billing && billingAddressId) {
+    const book = await loadUser();
+    billing = book.getAddressSnapshot(billingAddressId);
+    if (!billing) {
+      return { error: 'Billing address not found in your address book' };
+    }
+  }
+  if (!billing && !shippingAddress && !addressId) {
+    const book = await loadUser();
+    const entry = book.addresses.find(address => address.isDefaultBilling);
+    billing = entry ? book.getAddressSnapshot(entry._id) : null;
+  }
+
+  return {
+    shippingAddress: shipping,
+    billingAddress: billing || shipping
+  };
+};
+
+// Variant reference and snapshot for an order line; empty when the product itself is sold
+const variantFields = (product, sellable) => {
+  if (sellable === product) {
+    return {};
+  }
+  return { variant: sellable._id, variantName: sellable.name, sku: sellable.sku };
+};
+
+// Price the chosen shipping method for the order lines and destination.
+// Returns { shippingMethod, shippingCost } or { error }.
+const applyShipping = (orderItems, productMap, shippingAddress, method) => {
+  return calculateShipping({
+    items: orderItems.map(item => ({
+      ...item,
+      product: productMap.get(item.product.toString())
+    })),
+    address: shippingAddress,
+    method
+  });
+};
+
+// Evaluate a coupon code for the order lines being created.
+// Returns { discountAmount, promotion } or { error }.
+const applyCoupon = async (req, couponCode, orderItems, productMap, shippingCost) => {
+  if (!couponCode) {
+    return { discountAmount: 0, promotion: null };
+  }
+
+  const promotion = await evaluateCoupon(couponCode, {
+    customerId: req.user.id,
+    items: orderItems.map(item => ({
+      ...item,
+      product: productMap.get(item.product.toString())
+    })),
+    shippingCost
+  });
+  if (promotion.error) {
+    return { error: promotion.error };
+  }
+
+  return { discountAmount: promotion.discountAmount, promotion };
+};
+
+// Calculate tax for the order lines and store each line's tax breakdown on it.
+// Free-shipping discounts do not reduce the taxable amount of the goods.
+// Returns { taxAmount, pricesIncludeTax } or { error }.
+const applyTax = async (orderItems, productMap, shippingAddress, discountAmount, promotion) => {
+  const tax = await calculateTax({
+    items: orderItems.map(item => ({
+      ...item,
+      product: productMap.get(item.product.toString())
+    })),
+    address: shippingAddress,
+    discountAmount: promotion && promotion.freeShipping ? 0 : discountAmount
+  });
+
+  if (tax.error) {
+    return tax;
+  }
+  orderItems.forEach((item, index) => Object.assign(item, tax.lines[index]));
+
+  return tax;
+};
+
+// Pay part of the order with the gift card and wallet balance given in the request.
+// Returns { tenders, tenderedAmount } or { error }.
+const applyTenders = (req, orderId, totalAmount, session) => {
+  const { giftCardCode, useWallet, walletAmount } = req.body;
+  return chargeTenders({
+    userId: req.user.id,
+    orderId,
+    total: totalAmount,
+    giftCardCode,
+    walletAmount: useWallet ? 'max' : walletAmount
+  }, session);
+};
+
+// Get all orders (orders:read gets all, Users get their own)
 router.get('/', protect, async (req, res) => {
   try {
     const { 
@@ -23,7 +186,7 @@ router.get('/', protect, async (req, res) => {
     let query = {};
     
     // Regular users can only see their own orders
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.permissions, 'orders:read')) {
       query.customer = req.user.id;
     }
     
@@ -84,13 +247,14 @@ router.get('/:id', protect, async (req, res) => {
     let query = { _id: req.params.id };
     
     // Regular users can only see their own orders
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.permissions, 'orders:read')) {
       query.customer = req.user.id;
     }
 
     const order = await Order.findOne(query)
       .populate('customer', 'firstName lastName email phone')
-      .populate('items.product', 'name slug images price unit stock');
+      .populate('items.product', 'name slug images price unit stock')
+      .populate('statusHistory.changedBy', 'firstName lastName');
     
     if (!order) {
       return res.status(404).json({
@@ -115,18 +279,20 @@ router.get('/:id', protect, async (req, res) => {
 // Create new order
 router.post('/', [
   protect,
+  requireVerifiedEmail('checkout'),
   body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
   body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('shippingAddress.firstName').trim().notEmpty().withMessage('First name is required'),
-  body('shippingAddress.lastName').trim().notEmpty().withMessage('Last name is required'),
-  body('shippingAddress.street').trim().notEmpty().withMessage('Street address is required'),
-  body('shippingAddress.city').trim().notEmpty().withMessage('City is required'),
-  body('shippingAddress.state').trim().notEmpty().withMessage('State is required'),
-  body('shippingAddress.zipCode').trim().notEmpty().withMessage('Zip code is required'),
-  body('shippingAddress.country').trim().notEmpty().withMessage('Country is required'),
-  body('shippingAddress.phone').trim().notEmpty().withMessage('Phone number is required')
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty'),
+  body('shippingMethod').optional().isIn(ShippingZone.METHOD_TYPES).withMessage('Invalid shipping method'),
+  body('deliverySlot').optional().isMongoId().withMessage('Valid delivery slot ID is required'),
+  body('giftCardCode').optional().trim().notEmpty().withMessage('Gift card code cannot be empty'),
+  body('useWallet').optional().isBoolean().toBoolean().withMessage('useWallet must be a boolean'),
+  body('walletAmount').optional().isFloat({ gt: 0 }).toFloat().withMessage('Wallet amount must be greater than 0'),
+  ...shippingAddressValidation
 ], async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -138,10 +304,19 @@ router.post('/', [
       });
     }
 
-    const { items, shippingAddress, billingAddress, notes, taxRate = 0.08, shippingCost = 0 } = req.body;
+    const { items, notes, couponCode, shippingMethod = 'standard', deliverySlot } = req.body;
 
-    // Verify all products exist and are active
-    const productIds = items.map(item => item.product);
+    const addresses = await resolveOrderAddresses(req);
+    if (addresses.error) {
+      return res.status(400).json({
+        success: false,
+        message: addresses.error
+      });
+    }
+    const { shippingAddress, billingAddress } = addresses;
+
+    // Verify all products exist and are active; a product may appear once per variant
+    const productIds = [...new Set(items.map(item => item.product.toString()))];
     const products = await Product.find({ 
       _id: { $in: productIds }, 
       isActive: true 
@@ -157,7 +332,7 @@ router.post('/', [
     // Create a map for quick product lookup
     const productMap = new Map(products.map(p => [p._id.toString(), p]));
 
-    // Process order items and check stock
+    // Process order items
     const orderItems = [];
     let subtotal = 0;
 
@@ -171,110 +346,440 @@ router.post('/', [
         });
       }
 
-      if (product.stock < item.quantity) {
+      // Products with variants are sold by variant
+      const sellable = product.getSellable(item.variant);
+      if (!sellable) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stock}, Requested: ${item.quantity}`
+          message: item.variant
+            ? `Variant not found or unavailable: ${item.variant}`
+            : `Please choose a variant of ${product.name}`
         });
       }
 
-      const itemTotal = product.price * item.quantity;
+      const itemTotal = sellable.price * item.quantity;
       subtotal += itemTotal;
 
       orderItems.push({
         product: product._id,
+        ...variantFields(product, sellable),
         quantity: item.quantity,
-        price: product.price,
+        price: sellable.price,
         total: itemTotal
       });
     }
 
-    // Calculate tax and total
-    const taxAmount = subtotal * taxRate;
-    const totalAmount = subtotal + taxAmount + shippingCost;
+    // Price shipping for the chosen method and destination
+    const shipping = await applyShipping(orderItems, productMap, shippingAddress, shippingMethod);
+    if (shipping.error) {
+      return res.status(400).json({
+        success: false,
+        message: shipping.error
+      });
+    }
+    const { shippingCost } = shipping;
+
+    // Apply coupon
+    const { discountAmount, promotion, error: couponError } =
+      await applyCoupon(req, couponCode, orderItems, productMap, shippingCost);
+    if (couponError) {
+      return res.status(400).json({
+        success: false,
+        message: couponError
+      });
+    }
+
+    // Calculate tax from the destination and each product's tax class
+    const { taxAmount, pricesIncludeTax, error: taxError } =
+      await applyTax(orderItems, productMap, shippingAddress, discountAmount, promotion);
+    if (taxError) {
+      return res.status(400).json({
+        success: false,
+        message: taxError
+      });
+    }
+    const totalAmount = subtotal + (pricesIncludeTax ? 0 : taxAmount) + shippingCost - discountAmount;
+
+    session.startTransaction();
+
+    // Release the buyer's cart holds on these products so they can be bought
+    await releaseCartHolds(req.user.id, orderItems, session);
+
+    // Decrement stock atomically; any line that cannot be fulfilled aborts the order
+    const orderId = new mongoose.Types.ObjectId();
+    const notifications = [];
+    const failures = await decrementStock(orderItems, session, { order: orderId, actor: req.user.id, notifications });
+    if (failures.length > 0) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Insufficient stock for one or more items',
+        data: { failures }
+      });
+    }
+
+    // Book the delivery slot; it must be in the shipping zone and still have room
+    let slot = null;
+    if (deliverySlot) {
+      slot = await reserveDeliverySlot(deliverySlot, shipping.shippingMethod.zone, session);
+      if (!slot) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: 'Delivery slot is full or not available for this address'
+        });
+      }
+    }
+
+    // Pay what the gift card and wallet cover; the provider collects the rest
+    const tendered = await applyTenders(req, orderId, totalAmount, session);
+    if (tendered.error) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: tendered.error
+      });
+    }
+    const fullyTendered = tendered.tenderedAmount > 0 && tendered.tenderedAmount >= totalAmount;
 
     // Create order
-    const order = await Order.create({
+    const [order] = await Order.create([{
+      _id: orderId,
       customer: req.user.id,
       items: orderItems,
       shippingAddress,
-      billingAddress: billingAddress || shippingAddress,
+      billingAddress,
       subtotal,
       taxAmount,
+      pricesIncludeTax,
+      shippingMethod: shipping.shippingMethod,
+      deliverySlot: slot ? slot._id : undefined,
+      estimatedDelivery: slot ? slot.startsAt : undefined,
       shippingCost,
+      discountAmount,
+      couponCode: promotion ? promotion.coupon.code : undefined,
       totalAmount,
-      notes
-    });
+      tenders: tendered.tenders,
+      tenderedAmount: tendered.tenderedAmount,
+      paymentStatus: fullyTendered ? 'paid' : 'pending',
+      paidAt: fullyTendered ? new Date() : undefined,
+      notes,
+      reservedUntil: orderReservationExpiry(),
+      statusHistory: [{ status: 'pending', changedBy: req.user.id }]
+    }], { session });
 
-    // Create order from cart
-router.post('/from-cart', [
-  protect,
-  // Address validation same as regular order creation
-], async (req, res) => {
-  try {
-    // Get user's cart
-    const cart = await Cart.findOne({ user: req.user.id })
-      .populate('items.product', 'price stock isActive');
-    
-    if (!cart || cart.items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cart is empty'
-      });
+    // Record the coupon use; the last remaining use may have been taken meanwhile
+    if (promotion) {
+      const redeemed = await redeemCoupon(promotion.coupon, {
+        customerId: req.user.id,
+        orderId: order._id,
+        discountAmount
+      }, session);
+      if (!redeemed) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: 'Coupon is no longer available'
+        });
+      }
     }
 
-    // Process order creation similar to regular order creation
-    // but using cart items instead of direct items
-    
-    // After successful order creation, clear the cart
-    await cart.clearCart();
+    await session.commitTransaction();
+    sendNotifications(notifications);
+
+    // Populate the created order
+    await order.populate('customer', 'firstName lastName email');
+    await order.populate('items.product', 'name slug images price unit');
 
     res.status(201).json({
       success: true,
-      message: 'Order created from cart successfully',
+      message: 'Order created successfully',
       data: { order }
     });
   } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
       error: error.message
     });
+  } finally {
+    await session.endSession();
   }
 });
 
-    // Update product stock
-    for (const item of items) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { stock: -item.quantity } }
-      );
+// Create order from cart
+router.post('/from-cart', [
+  protect,
+  requireVerifiedEmail('checkout'),
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty'),
+  body('shippingMethod').optional().isIn(ShippingZone.METHOD_TYPES).withMessage('Invalid shipping method'),
+  body('deliverySlot').optional().isMongoId().withMessage('Valid delivery slot ID is required'),
+  body('giftCardCode').optional().trim().notEmpty().withMessage('Gift card code cannot be empty'),
+  body('useWallet').optional().isBoolean().toBoolean().withMessage('useWallet must be a boolean'),
+  body('walletAmount').optional().isFloat({ gt: 0 }).toFloat().withMessage('Wallet amount must be greater than 0'),
+  ...shippingAddressValidation
+], async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { notes, shippingMethod = 'standard', deliverySlot } = req.body;
+
+    const addresses = await resolveOrderAddresses(req);
+    if (addresses.error) {
+      return res.status(400).json({
+        success: false,
+        message: addresses.error
+      });
+    }
+    const { shippingAddress, billingAddress } = addresses;
+
+    // Get user's cart
+    const cart = await Cart.findOne({ user: req.user.id });
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
     }
 
+    const productIds = [...new Set(cart.items.map(item => item.product.toString()))];
+    const products = await Product.find({
+      _id: { $in: productIds },
+      isActive: true
+    });
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    // Stock held by this cart counts towards what the user can buy
+    const holds = await getCartHolds(req.user.id);
+
+    // Reprice each line from the current product or variant price and check stock
+    const orderItems = [];
+    const priceChanges = [];
+    const unavailable = [];
+
+    for (const item of cart.items) {
+      const product = productMap.get(item.product.toString());
+      const sellable = product && product.getSellable(item.variant);
+
+      if (!sellable) {
+        unavailable.push({
+          product: item.product,
+          variant: item.variant,
+          requested: item.quantity,
+          available: 0,
+          reason: product ? 'Variant not found or unavailable' : 'Product not found or unavailable'
+        });
+        continue;
+      }
+
+      const available = sellable.availableStock + (holds.get(stockKey(product._id, item.variant)) || 0);
+      if (available < item.quantity) {
+        unavailable.push({
+          product: product._id,
+          variant: item.variant,
+          name: product.name,
+          requested: item.quantity,
+          available,
+          reason: 'Insufficient stock'
+        });
+        continue;
+      }
+
+      if (sellable.price !== item.price) {
+        priceChanges.push({
+          product: product._id,
+          variant: item.variant,
+          name: product.name,
+          previousPrice: item.price,
+          currentPrice: sellable.price
+        });
+      }
+
+      orderItems.push({
+        product: product._id,
+        ...variantFields(product, sellable),
+        quantity: item.quantity,
+        price: sellable.price,
+        total: sellable.price * item.quantity
+      });
+    }
+
+    if (unavailable.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some cart items are no longer available',
+        data: { unavailable, priceChanges }
+      });
+    }
+
+    // Price shipping for the chosen method and destination
+    const shipping = await applyShipping(orderItems, productMap, shippingAddress, shippingMethod);
+    if (shipping.error) {
+      return res.status(400).json({
+        success: false,
+        message: shipping.error
+      });
+    }
+    const { shippingCost } = shipping;
+
+    // Apply coupon from the request or the one saved on the cart
+    const couponCode = req.body.couponCode || cart.couponCode;
+    const { discountAmount, promotion, error: couponError } =
+      await applyCoupon(req, couponCode, orderItems, productMap, shippingCost);
+    if (couponError) {
+      return res.status(400).json({
+        success: false,
+        message: couponError
+      });
+    }
+
+    // Calculate tax from the destination and each product's tax class
+    const subtotal = orderItems.reduce((sum, item) => sum + item.total, 0);
+    const { taxAmount, pricesIncludeTax, error: taxError } =
+      await applyTax(orderItems, productMap, shippingAddress, discountAmount, promotion);
+    if (taxError) {
+      return res.status(400).json({
+        success: false,
+        message: taxError
+      });
+    }
+    const totalAmount = subtotal + (pricesIncludeTax ? 0 : taxAmount) + shippingCost - discountAmount;
+
+    session.startTransaction();
+
+    // Turn the cart holds into the order's stock
+    await releaseCartHolds(req.user.id, orderItems, session);
+
+    // Decrement stock atomically; stock may have moved since the check above
+    const orderId = new mongoose.Types.ObjectId();
+    const notifications = [];
+    const failures = await decrementStock(orderItems, session, { order: orderId, actor: req.user.id, notifications });
+    if (failures.length > 0) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Some cart items are no longer available',
+        data: { unavailable: failures, priceChanges }
+      });
+    }
+
+    // Book the delivery slot; it must be in the shipping zone and still have room
+    let slot = null;
+    if (deliverySlot) {
+      slot = await reserveDeliverySlot(deliverySlot, shipping.shippingMethod.zone, session);
+      if (!slot) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: 'Delivery slot is full or not available for this address'
+        });
+      }
+    }
+
+    // Pay what the gift card and wallet cover; the provider collects the rest
+    const tendered = await applyTenders(req, orderId, totalAmount, session);
+    if (tendered.error) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: tendered.error
+      });
+    }
+    const fullyTendered = tendered.tenderedAmount > 0 && tendered.tenderedAmount >= totalAmount;
+
+    // Create order
+    const [order] = await Order.create([{
+      _id: orderId,
+      customer: req.user.id,
+      items: orderItems,
+      shippingAddress,
+      billingAddress,
+      subtotal,
+      taxAmount,
+      pricesIncludeTax,
+      shippingMethod: shipping.shippingMethod,
+      deliverySlot: slot ? slot._id : undefined,
+      estimatedDelivery: slot ? slot.startsAt : undefined,
+      shippingCost,
+      discountAmount,
+      couponCode: promotion ? promotion.coupon.code : undefined,
+      totalAmount,
+      tenders: tendered.tenders,
+      tenderedAmount: tendered.tenderedAmount,
+      paymentStatus: fullyTendered ? 'paid' : 'pending',
+      paidAt: fullyTendered ? new Date() : undefined,
+      notes,
+      reservedUntil: orderReservationExpiry(),
+      statusHistory: [{ status: 'pending', changedBy: req.user.id }]
+    }], { session });
+
+    // Record the coupon use; the last remaining use may have been taken meanwhile
+    if (promotion) {
+      const redeemed = await redeemCoupon(promotion.coupon, {
+        customerId: req.user.id,
+        orderId: order._id,
+        discountAmount
+      }, session);
+      if (!redeemed) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: 'Coupon is no longer available'
+        });
+      }
+    }
+
+    // Clear the cart only once the order has been saved
+    cart.$session(session);
+    await cart.clearCart();
+
+    await session.commitTransaction();
+    sendNotifications(notifications);
+
     // Populate the created order
     await order.populate('customer', 'firstName lastName email');
     await order.populate('items.product', 'name slug images price unit');
 
     res.status(201).json({
       success: true,
-      message: 'Order created successfully',
-      data: { order }
+      message: 'Order created from cart successfully',
+      data: { order, priceChanges }
     });
   } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
       error: error.message
     });
+  } finally {
+    await session.endSession();
   }
 });
 
-// Update order status (Admin only)
+// Update order status (orders:fulfil)
 router.patch('/:id/status', [
   protect,
-  admin,
-  body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status')
+  can('orders:fulfil'),
+  body('status').isIn(Object.keys(Order.STATUS_TRANSITIONS)).withMessage('Invalid status'),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
 ], async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -285,7 +790,7 @@ router.patch('/:id/status', [
       });
     }
 
-    const { status, trackingNumber, cancelReason } = req.body;
+    const { status, trackingNumber, cancelReason, note } = req.body;
     
     const order = await Order.findById(req.params.id);
     if (!order) {
@@ -295,57 +800,112 @@ router.patch('/:id/status', [
       });
     }
 
+    // Cancelling also requires the cancel permission
+    if (status === 'cancelled' && !hasPermission(req.permissions, 'orders:cancel')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Permission orders:cancel required.'
+      });
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        data: { allowed: Order.STATUS_TRANSITIONS[order.status] }
+      });
+    }
+
     // Handle status-specific logic
-    const updateData = { status };
+    const updateData = {
+      status,
+      $push: {
+        statusHistory: {
+          from: order.status,
+          status,
+          changedBy: req.user.id,
+          changedAt: new Date(),
+          note: note || cancelReason
+        }
+      }
+    };
     
     if (status === 'shipped' && trackingNumber) {
       updateData.trackingNumber = trackingNumber;
-      updateData.estimatedDelivery = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000); // 3 days from now
+      // Orders with a delivery slot keep the booked window
+      if (!order.deliverySlot) {
+        updateData.estimatedDelivery = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000); // 3 days from now
+      }
     }
     
     if (status === 'delivered') {
       updateData.deliveredAt = new Date();
-      updateData.paymentStatus = 'paid';
     }
     
     if (status === 'cancelled') {
       updateData.cancelledAt = new Date();
       updateData.cancelReason = cancelReason;
-      
-      // Restore product stock
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(
-          item.product,
-          { $inc: { stock: item.quantity } }
-        );
-      }
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-      req.params.id,
+    session.startTransaction();
+
+    // Only apply the update if the status has not changed since it was read
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
       updateData,
-      { new: true, runValidators: true }
-    ).populate('customer', 'firstName lastName email')
-     .populate('items.product', 'name slug images price unit');
+      { new: true, runValidators: true, session }
+    );
+
+    if (!updatedOrder) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Order was modified by another request, please retry'
+      });
+    }
+
+    // Restore product stock and give the coupon use, delivery slot and store credit back
+    const notifications = [];
+    if (status === 'cancelled') {
+      await restoreStock(order.items, session, { order: order._id, actor: req.user.id, notifications });
+      await releaseCouponRedemption(order._id, session);
+      await releaseDeliverySlot(order, session);
+      await releaseOrderTenders(order, session);
+    }
+
+    await session.commitTransaction();
+    sendNotifications(notifications);
+
+    const refunded = status === 'cancelled' ? await refundCancelledOrder(updatedOrder, req.user.id) : null;
+    const result = refunded === null ? updatedOrder : await Order.findById(order._id);
+    await result.populate('customer', 'firstName lastName email');
+    await result.populate('items.product', 'name slug images price unit');
 
     res.status(200).json({
       success: true,
-      message: 'Order status updated successfully',
-      data: { order: updatedOrder }
+      message: refunded === false
+        ? 'Order cancelled, but the payment could not be refunded automatically'
+        : 'Order status updated successfully',
+      data: { order: result }
     });
   } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
       error: error.message
     });
+  } finally {
+    await session.endSession();
   }
 });
 
-// Update payment status (Admin only)
+// Update payment status (orders:payment)
 router.patch('/:id/payment', [
   protect,
-  admin,
+  can('orders:payment'),
   body('paymentStatus').isIn(['pending', 'paid', 'failed', 'refunded']).withMessage('Invalid payment status')
 ], async (req, res) => {
   try {
@@ -359,10 +919,15 @@ router.patch('/:id/payment', [
     }
 
     const { paymentStatus } = req.body;
+
+    const update = { paymentStatus };
+    if (paymentStatus === 'paid') {
+      update.paidAt = new Date();
+    }
     
     const updatedOrder = await Order.findByIdAndUpdate(
       req.params.id,
-      { paymentStatus },
+      update,
       { new: true, runValidators: true }
     ).populate('customer', 'firstName lastName email')
      .populate('items.product', 'name slug images price unit');
@@ -374,6 +939,9 @@ router.patch('/:id/payment', [
       });
     }
 
+    // Keep manual changes in the payment ledger
+    await recordManualPayment(updatedOrder, paymentStatus, req.user.id);
+
     res.status(200).json({
       success: true,
       message: 'Payment status updated successfully',
@@ -388,18 +956,19 @@ router.patch('/:id/payment', [
   }
 });
 
-// Cancel order (User can cancel their own pending orders, Admin can cancel any)
+// Cancel order (User can cancel their own pending orders, orders:cancel can cancel any)
 router.patch('/:id/cancel', [
   protect,
   body('reason').optional().isLength({ max: 500 }).withMessage('Cancel reason cannot exceed 500 characters')
 ], async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     const { reason } = req.body;
     
     let query = { _id: req.params.id };
     
     // Regular users can only cancel their own orders
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.permissions, 'orders:cancel')) {
       query.customer = req.user.id;
       query.status = 'pending'; // Users can only cancel pending orders
     }
@@ -413,48 +982,84 @@ router.patch('/:id/cancel', [
       });
     }
 
-    if (order.status === 'cancelled') {
-      return res.status(400).json({
+    if (!order.canTransitionTo('cancelled')) {
+      return res.status(409).json({
         success: false,
-        message: 'Order is already cancelled'
+        message: order.status === 'cancelled'
+          ? 'Order is already cancelled'
+          : `Cannot cancel an order that is ${order.status}`
       });
     }
 
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { stock: item.quantity } }
-      );
-    }
+    session.startTransaction();
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-      req.params.id,
+    // Only cancel if the status has not changed since it was read
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
       {
         status: 'cancelled',
         cancelledAt: new Date(),
-        cancelReason: reason
+        cancelReason: reason,
+        $push: {
+          statusHistory: {
+            from: order.status,
+            status: 'cancelled',
+            changedBy: req.user.id,
+            changedAt: new Date(),
+            note: reason
+          }
+        }
       },
-      { new: true }
-    ).populate('customer', 'firstName lastName email')
-     .populate('items.product', 'name slug images price unit');
+      { new: true, session }
+    );
+
+    if (!updatedOrder) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Order was modified by another request, please retry'
+      });
+    }
+
+    // Restore product stock and give the coupon use, delivery slot and store credit back
+    const notifications = [];
+    await restoreStock(order.items, session, { order: order._id, actor: req.user.id, notifications });
+    await releaseCouponRedemption(order._id, session);
+    await releaseDeliverySlot(order, session);
+    await releaseOrderTenders(order, session);
+
+    await session.commitTransaction();
+    sendNotifications(notifications);
+
+    // Give back what the payment provider collected; a failed refund is left for staff to do by hand
+    const refunded = await refundCancelledOrder(updatedOrder, req.user.id);
+    const result = refunded === null ? updatedOrder : await Order.findById(order._id);
+    await result.populate('customer', 'firstName lastName email');
+    await result.populate('items.product', 'name slug images price unit');
 
     res.status(200).json({
       success: true,
-      message: 'Order cancelled successfully',
-      data: { order: updatedOrder }
+      message: refunded === false
+        ? 'Order cancelled, but the payment could not be refunded automatically'
+        : 'Order cancelled successfully',
+      data: { order: result }
     });
   } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
       error: error.message
     });
+  } finally {
+    await session.endSession();
   }
 });
 
-// Get order summary/statistics (Admin only)
-router.get('/admin/summary', protect, admin, async (req, res) => {
+// Get order summary/statistics (orders:reports)
+router.get('/admin/summary', protect, can('orders:reports'), async (req, res) => {
   try {
     const { period = '30' } = req.query;
     const days = parseInt(period);
@@ -473,7 +1078,7 @@ router.get('/admin/summary', protect, admin, async (req, res) => {
       Order.countDocuments({ createdAt: { $gte: startDate } }),
       Order.aggregate([
         { $match: { status: { $ne: 'cancelled' } } },
-        { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+        { $group: { _id: null, total: { $sum: '$totalAmount' }, refunded: { $sum: '$refundedAmount' } } }
       ]),
       Order.aggregate([
         { 
@@ -482,7 +1087,7 @@ router.get('/admin/summary', protect, admin, async (req, res) => {
             status: { $ne: 'cancelled' }
           }
         },
-        { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+        { $group: { _id: null, total: { $sum: '$totalAmount' }, refunded: { $sum: '$refundedAmount' } } }
       ]),
       Order.aggregate([
         { $group: { _id: '$status', count: { $sum: 1 } } }
@@ -498,8 +1103,11 @@ router.get('/admin/summary', protect, admin, async (req, res) => {
         summary: {
           totalOrders,
           recentOrders,
-          totalRevenue: totalRevenue[0]?.total || 0,
-          recentRevenue: recentRevenue[0]?.total || 0,
+          // Revenue is net of refunds
+          totalRevenue: (totalRevenue[0]?.total || 0) - (totalRevenue[0]?.refunded || 0),
+          recentRevenue: (recentRevenue[0]?.total || 0) - (recentRevenue[0]?.refunded || 0),
+          totalRefunded: totalRevenue[0]?.refunded || 0,
+          recentRefunded: recentRevenue[0]?.refunded || 0,
           period: `${days} days`
         },
         statusDistribution: statusStats.reduce((acc, stat) => {
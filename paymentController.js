@@ -0,0 +1,345 @@
+const mongoose = require('mongoose');
+const Order = require('./orderModel');
+const PaymentTransaction = require('./paymentTransactionModel');
+const { getProvider } = require('./paymentGateway');
+const { creditWallet } = require('./walletController');
+
+const currency = () => process.env.CURRENCY || 'USD';
+
+// Round to cents
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// How each webhook event is recorded and which payment statuses it moves the order from
+const WEBHOOK_EVENTS = {
+  payment_succeeded: { type: 'payment', status: 'succeeded', from: ['pending', 'failed'], to: 'paid' },
+  payment_failed: { type: 'failure', status: 'failed', from: ['pending'], to: 'failed' },
+  refund_succeeded: { type: 'refund', status: 'succeeded', from: ['paid'], to: 'refunded' }
+};
+
+// Total amount refunded on an order so far, optionally only through one provider
+exports.getRefundedTotal = async (orderId, session, provider) => {
+  const match = { order: new mongoose.Types.ObjectId(orderId.toString()), type: 'refund', status: 'succeeded' };
+  if (provider) {
+    match.provider = provider;
+  }
+  const [result] = await PaymentTransaction.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session || null);
+  return result ? roundCurrency(result.total) : 0;
+};
+
+// Create a payment intent for an order with a provider.
+// Returns { intent } or { error }.
+exports.createPaymentIntent = async (order, providerName) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { error: `Unknown payment provider: ${providerName}` };
+  }
+
+  const amount = order.amountDue !== undefined ? order.amountDue : order.totalAmount;
+  if (amount <= 0) {
+    return { error: 'Order has nothing left to pay' };
+  }
+
+  const intent = await provider.createIntent({
+    amount,
+    currency: currency(),
+    orderId: order._id.toString()
+  });
+
+  await Order.updateOne(
+    { _id: order._id },
+    { paymentProvider: providerName, paymentIntentId: intent.id }
+  );
+  await PaymentTransaction.create({
+    order: order._id,
+    provider: providerName,
+    type: 'intent',
+    status: 'pending',
+    amount,
+    currency: currency(),
+    intentId: intent.id
+  });
+
+  return { intent };
+};
+
+// Give back what the payment provider collected for a cancelled order, e.g. a payment that arrived
+// after its reservation expired. A refund the provider declines or errors on stays in the ledger as
+// failed, to be refunded by hand. Returns true if the money went back.
+const refundCancelledPayment = async (providerName, order, intentId, amount, { note, performedBy }) => {
+  let result;
+  try {
+    result = await getProvider(providerName).refund(intentId, amount);
+  } catch (error) {
+    result = { status: 'failed' };
+    console.error(`Refund of cancelled order ${order._id} failed:`, error.message);
+  }
+  const succeeded = result.status === 'succeeded';
+
+  await PaymentTransaction.create({
+    order: order._id,
+    provider: providerName,
+    type: 'refund',
+    status: succeeded ? 'succeeded' : 'failed',
+    amount,
+    currency: currency(),
+    intentId,
+    reference: result.id,
+    performedBy,
+    note: succeeded ? note : `${note}; refund manually`
+  });
+
+  if (succeeded) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $inc: { refundedAmount: amount } }
+    );
+    await Order.updateOne(
+      { _id: order._id, paymentStatus: { $in: ['pending', 'failed', 'paid'] } },
+      { paymentStatus: 'refunded' }
+    );
+  }
+  return succeeded;
+};
+
+// Refund the part of a cancelled order paid through its payment provider; store credit and gift
+// cards go back with the order's tenders. Returns true or false for whether the refund went
+// through, or null if the provider was not paid.
+exports.refundCancelledOrder = async (order, performedBy) => {
+  if (order.paymentStatus !== 'paid' || !order.paymentIntentId) {
+    return null;
+  }
+
+  const collected = order.amountDue !== undefined ? order.amountDue : order.totalAmount;
+  const amount = roundCurrency(collected - await exports.getRefundedTotal(order._id, null, order.paymentProvider));
+  if (amount <= 0) {
+    await Order.updateOne({ _id: order._id, paymentStatus: 'paid' }, { paymentStatus: 'refunded' });
+    return true;
+  }
+  return refundCancelledPayment(order.paymentProvider, order, order.paymentIntentId, amount, {
+    note: 'Order cancelled after payment',
+    performedBy
+  });
+};
+
+// Apply a verified webhook event to its order.
+// Events are recorded in the ledger under their id, so a replayed event is not applied twice.
+// A payment for a cancelled order is refunded instead of marking the order paid, and a payment
+// short of the amount due is recorded without marking the order paid.
+// Returns { applied, order, refunded, underpaid } or { ignored, reason }.
+exports.applyWebhookEvent = async (providerName, event) => {
+  const handling = WEBHOOK_EVENTS[event.type];
+  if (!handling) {
+    return { ignored: true, reason: `Unhandled event type: ${event.type}` };
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    const order = await Order.findOne({
+      paymentProvider: providerName,
+      paymentIntentId: event.intentId
+    }).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return { ignored: true, reason: 'Unknown payment intent' };
+    }
+
+    // Refunds made through the API are already in the ledger
+    if (event.type === 'refund_succeeded' && event.reference) {
+      const recorded = await PaymentTransaction.exists({
+        provider: providerName,
+        type: 'refund',
+        reference: event.reference
+      }).session(session);
+      if (recorded) {
+        await session.abortTransaction();
+        return { ignored: true, reason: 'Refund already recorded' };
+      }
+    }
+
+    const due = order.amountDue ?? order.totalAmount;
+    const amount = event.amount !== undefined ? event.amount : due;
+    const underpaid = handling.to === 'paid' && roundCurrency(amount) < due;
+    await PaymentTransaction.create([{
+      order: order._id,
+      provider: providerName,
+      type: handling.type,
+      status: handling.status,
+      amount,
+      currency: currency(),
+      intentId: event.intentId,
+      reference: event.reference,
+      eventId: event.id,
+      note: underpaid ? `Paid ${amount} of ${due} due` : undefined
+    }], { session });
+
+    const update = { paymentStatus: handling.to };
+    if (handling.to === 'paid') {
+      update.paidAt = new Date();
+    }
+    if (handling.type === 'refund') {
+      await Order.updateOne(
+        { _id: order._id },
+        { $inc: { refundedAmount: event.amount !== undefined ? event.amount : order.totalAmount } },
+        { session }
+      );
+    }
+    // A partial refund leaves the order paid
+    const fullyRefunded = handling.to !== 'refunded' ||
+      await exports.getRefundedTotal(order._id, session) >= order.totalAmount;
+    if (fullyRefunded && !underpaid) {
+      await Order.updateOne(
+        { _id: order._id, paymentStatus: { $in: handling.from }, status: { $ne: 'cancelled' } },
+        update,
+        { session }
+      );
+    }
+
+    await session.commitTransaction();
+
+    // Stock and reservations of a cancelled order are already released, so the money goes back
+    if (handling.to === 'paid' && order.status === 'cancelled') {
+      const refunded = await refundCancelledPayment(providerName, order, event.intentId, amount, {
+        note: 'Payment received after the order was cancelled'
+      });
+      return { applied: true, order, refunded };
+    }
+    return underpaid ? { applied: true, order, underpaid } : { applied: true, order };
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    if (error.code === 11000) {
+      return { ignored: true, reason: 'Event already processed' };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Capture the order's payment intent for the order total.
+// Returns { transaction } or { error }.
+exports.capturePayment = async (order, performedBy) => {
+  const provider = getProvider(order.paymentProvider);
+  if (!provider || !order.paymentIntentId) {
+    return { error: 'Order has no payment intent to capture' };
+  }
+  if (order.status === 'cancelled') {
+    return { error: 'Cancelled orders cannot be captured' };
+  }
+
+  const amount = order.amountDue !== undefined ? order.amountDue : order.totalAmount;
+  const result = await provider.capture(order.paymentIntentId, amount);
+  const succeeded = result.status === 'succeeded';
+
+  const transaction = await PaymentTransaction.create({
+    order: order._id,
+    provider: order.paymentProvider,
+    type: 'capture',
+    status: succeeded ? 'succeeded' : 'failed',
+    amount,
+    currency: currency(),
+    intentId: order.paymentIntentId,
+    reference: result.id,
+    performedBy
+  });
+
+  await Order.updateOne(
+    { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] } },
+    succeeded ? { paymentStatus: 'paid', paidAt: new Date() } : { paymentStatus: 'failed' }
+  );
+
+  return succeeded ? { transaction } : { error: 'Payment capture failed', transaction };
+};
+
+// Refund part or all of the order's payment.
+// Refunds go back through the payment provider, or to the customer's wallet as store credit
+// when `toStoreCredit` is set or the order was paid with store credit and gift cards only.
+// Orders marked paid by staff have no provider and are refunded manually, e.g. in cash.
+// Returns { transaction, refundedTotal } or { error }.
+exports.refundPayment = async (order, amount, { performedBy, note, toStoreCredit = false } = {}) => {
+  const provider = order.paymentIntentId ? getProvider(order.paymentProvider) : null;
+  if (order.paymentIntentId && !provider) {
+    return { error: `Unknown payment provider: ${order.paymentProvider}` };
+  }
+  if (order.paymentStatus !== 'paid') {
+    return { error: 'Only paid orders can be refunded' };
+  }
+
+  const alreadyRefunded = await exports.getRefundedTotal(order._id);
+  const refundable = roundCurrency(order.totalAmount - alreadyRefunded);
+  const refundAmount = roundCurrency(amount !== undefined ? amount : refundable);
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    return { error: `Refund amount must be between 0 and ${refundable}` };
+  }
+
+  const storeCredit = toStoreCredit || (!provider && order.tenderedAmount > 0);
+
+  // The provider can only give back what it collected
+  if (provider && !storeCredit) {
+    const collected = order.amountDue !== undefined ? order.amountDue : order.totalAmount;
+    const providerRefundable = roundCurrency(collected - await exports.getRefundedTotal(order._id, null, order.paymentProvider));
+    if (refundAmount > providerRefundable) {
+      return {
+        error: `Only ${providerRefundable} can be refunded to the original payment method; refund the rest as store credit`
+      };
+    }
+  }
+
+  let result = { status: 'succeeded' };
+  if (storeCredit) {
+    await creditWallet(order.customer, refundAmount, {
+      source: 'refund',
+      order: order._id,
+      performedBy,
+      note
+    });
+  } else if (provider) {
+    result = await provider.refund(order.paymentIntentId, refundAmount);
+  }
+  const succeeded = result.status === 'succeeded';
+
+  const transaction = await PaymentTransaction.create({
+    order: order._id,
+    provider: storeCredit ? 'wallet' : (provider ? order.paymentProvider : 'manual'),
+    type: 'refund',
+    status: succeeded ? 'succeeded' : 'failed',
+    amount: refundAmount,
+    currency: currency(),
+    intentId: order.paymentIntentId,
+    reference: result.id,
+    performedBy,
+    note
+  });
+  if (!succeeded) {
+    return { error: 'Refund failed', transaction };
+  }
+
+  const refundedTotal = roundCurrency(alreadyRefunded + refundAmount);
+  await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: refundAmount } });
+  if (refundedTotal >= order.totalAmount) {
+    await Order.updateOne({ _id: order._id, paymentStatus: 'paid' }, { paymentStatus: 'refunded' });
+  }
+
+  return { transaction, refundedTotal };
+};
+
+// Record a payment status set by staff, e.g. for cash on delivery
+exports.recordManualPayment = (order, paymentStatus, performedBy) => {
+  return PaymentTransaction.create({
+    order: order._id,
+    provider: order.paymentProvider || 'manual',
+    type: 'manual',
+    status: paymentStatus === 'failed' ? 'failed' : 'succeeded',
+    amount: order.totalAmount,
+    currency: currency(),
+    intentId: order.paymentIntentId,
+    performedBy,
+    note: `Payment status set to ${paymentStatus}`
+  });
+};
\ No newline at end of file
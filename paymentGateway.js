@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Payment providers. A provider is an object implementing:
+//   createIntent({ amount, currency, orderId }) -> { id, status, clientSecret }
+//   capture(intentId, amount) -> { id, status }
+//   refund(intentId, amount) -> { id, status }
+//   verifyWebhook(rawBody, headers) -> { id, type, intentId, reference, amount }
+// where webhook event types are 'payment_succeeded', 'payment_failed' and 'refund_succeeded'.
+// verifyWebhook throws if the signature is invalid.
+
+// The mock gateway approves everything, so it is never available in production
+const mockEnabled = () => process.env.NODE_ENV !== 'production';
+
+const mockSecret = () => {
+  if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+};
+
+// Sign a mock webhook payload the way the mock gateway does
+const signMockPayload = (payload) => {
+  return crypto.createHmac('sha256', mockSecret()).update(payload).digest('hex');
+};
+
+const providers = {};
+
+if (mockEnabled()) {
+  // Local gateway that approves everything (for development and tests).
+  // Webhooks are JSON { id, type, data: { intentId, reference, amount } } signed
+  // with HMAC-SHA256 in the x-mock-signature header.
+  providers.mock = {
+    createIntent: async ({ amount }) => {
+      const id = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+      return {
+        id,
+        status: amount > 0 ? 'requires_confirmation' : 'succeeded',
+        clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`
+      };
+    },
+    capture: async (intentId) => {
+      return { id: intentId, status: 'succeeded' };
+    },
+    refund: async () => {
+      return { id: `mock_re_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded' };
+    },
+    verifyWebhook: (rawBody, headers) => {
+      const signature = String(headers['x-mock-signature'] || '');
+      const expected = signMockPayload(rawBody);
+      if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Invalid webhook signature');
+      }
+      const event = JSON.parse(rawBody.toString());
+      return {
+        id: event.id,
+        type: event.type,
+        intentId: event.data && event.data.intentId,
+        reference: event.data && event.data.reference,
+        amount: event.data && event.data.amount
+      };
+    }
+  };
+}
+
+// Register a payment provider (e.g. a card processor) under a name
+exports.registerProvider = (name, provider) => {
+  const methods = ['createIntent', 'capture', 'refund', 'verifyWebhook'];
+  if (!provider || methods.some(method => typeof provider[method] !== 'function')) {
+    throw new Error(`Payment provider must implement ${methods.join(', ')}`);
+  }
+  providers[name] = provider;
+};
+
+// Get a provider by name, or null if it is not registered
+exports.getProvider = (name) => {
+  return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+};
+
+// Provider used when the client does not choose one; the mock gateway only outside production
+exports.defaultProviderName = () => process.env.PAYMENT_PROVIDER || (mockEnabled() ? 'mock' : null);
+
+exports.signMockPayload = signMockPayload;
\ No newline at end of file
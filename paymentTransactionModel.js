@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// An entry in an order's payment ledger
+const paymentTransactionSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['intent', 'payment', 'capture', 'refund', 'failure', 'manual'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  // Provider's id for the intent
+  intentId: {
+    type: String
+  },
+  // Provider's id for the refund or capture, when it has one
+  reference: {
+    type: String
+  },
+  // Webhook event id; each event is only applied once
+  eventId: {
+    type: String
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+paymentTransactionSchema.index({ order: 1, createdAt: 1 });
+paymentTransactionSchema.index({ provider: 1, intentId: 1 });
+paymentTransactionSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('PaymentTransaction', paymentTransactionSchema);
\ No newline at end of file
@@ -0,0 +1,301 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('./orderModel');
+const PaymentTransaction = require('./paymentTransactionModel');
+const { protect, can } = require('./authController');
+const { hasPermission } = require('./permissions');
+const { getProvider, defaultProviderName, signMockPayload } = require('./paymentGateway');
+const {
+  createPaymentIntent,
+  applyWebhookEvent,
+  capturePayment,
+  refundPayment
+} = require('./paymentController');
+
+const router = express.Router();
+
+// Verify a webhook with its provider and apply it; returns the HTTP status and body
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { status: 404, body: { success: false, message: 'Unknown payment provider' } };
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody || Buffer.from(''), headers);
+  } catch (error) {
+    return { status: 400, body: { success: false, message: error.message } };
+  }
+
+  const result = await applyWebhookEvent(providerName, event);
+  return {
+    status: 200,
+    body: {
+      success: true,
+      data: {
+        received: true,
+        applied: Boolean(result.applied),
+        reason: result.reason
+      }
+    }
+  };
+};
+
+// Create a payment intent for an order
+router.post('/orders/:orderId/intent', [
+  protect,
+  body('provider').optional().trim()
+    .custom(name => getProvider(name) !== null).withMessage('Unknown payment provider')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findOne({ _id: req.params.orderId, customer: req.user.id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status === 'cancelled' || !['pending', 'failed'].includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order cannot be paid'
+      });
+    }
+
+    const providerName = req.body.provider || defaultProviderName();
+    if (!providerName) {
+      return res.status(400).json({
+        success: false,
+        message: 'No payment provider is configured'
+      });
+    }
+
+    const result = await createPaymentIntent(order, providerName);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment intent created successfully',
+      data: {
+        intent: {
+          id: result.intent.id,
+          status: result.intent.status,
+          clientSecret: result.intent.clientSecret
+        },
+        amount: order.amountDue ?? order.totalAmount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Capture an order's payment (orders:payment)
+router.post('/orders/:orderId/capture', protect, can('orders:payment'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await capturePayment(order, req.user.id);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        data: { transaction: result.transaction }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment captured successfully',
+      data: { transaction: result.transaction }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Refund an order's payment in full or in part, optionally as store credit (orders:payment)
+router.post('/orders/:orderId/refund', [
+  protect,
+  can('orders:payment'),
+  body('amount').optional().isFloat({ gt: 0 }).toFloat().withMessage('Amount must be greater than 0'),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+  body('storeCredit').optional().isBoolean().toBoolean().withMessage('storeCredit must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await refundPayment(order, req.body.amount, {
+      performedBy: req.user.id,
+      note: req.body.note,
+      toStoreCredit: req.body.storeCredit
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        data: { transaction: result.transaction }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund issued successfully',
+      data: {
+        transaction: result.transaction,
+        refundedTotal: result.refundedTotal
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get an order's payment ledger (orders:read gets any, Users get their own)
+router.get('/orders/:orderId/transactions', protect, async (req, res) => {
+  try {
+    let query = { _id: req.params.orderId };
+    if (!hasPermission(req.permissions, 'orders:read')) {
+      query.customer = req.user.id;
+    }
+
+    const order = await Order.findOne(query).select('orderNumber paymentStatus totalAmount tenders tenderedAmount amountDue refundedAmount');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const transactions = await PaymentTransaction.find({ order: order._id })
+      .populate('performedBy', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { order, transactions }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Receive a provider webhook; replays of the same event are acknowledged but not applied again
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const result = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Simulate a mock gateway event for the user's own order (not available in production)
+router.post('/mock/events', [
+  protect,
+  body('intentId').trim().notEmpty().withMessage('Intent ID is required'),
+  body('type').isIn(['payment_succeeded', 'payment_failed', 'refund_succeeded']).withMessage('Invalid event type'),
+  body('amount').optional().isFloat({ min: 0 }).toFloat().withMessage('Amount must be a positive number')
+], async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { intentId, type, amount } = req.body;
+
+    const order = await Order.findOne({ paymentProvider: 'mock', paymentIntentId: intentId, customer: req.user.id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment intent not found'
+      });
+    }
+
+    const payload = Buffer.from(JSON.stringify({
+      id: `mock_evt_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`,
+      type,
+      data: { intentId, amount }
+    }));
+    const result = await handleWebhook('mock', payload, { 'x-mock-signature': signMockPayload(payload) });
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
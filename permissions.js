@@ -0,0 +1,52 @@
+// Permissions that can be granted to roles
+const PERMISSIONS = [
+  'products:write',
+  'inventory:write',
+  'purchasing:manage',
+  'categories:write',
+  'promotions:write',
+  'tax:write',
+  'shipping:write',
+  'orders:read',
+  'orders:fulfil',
+  'orders:cancel',
+  'orders:payment',
+  'orders:reports',
+  'returns:manage',
+  'wallet:manage',
+  'users:read',
+  'users:write',
+  'users:delete',
+  'users:invite',
+  'roles:manage'
+];
+
+// Built-in roles; '*' grants every permission
+const BUILT_IN_ROLES = {
+  admin: ['*'],
+  user: [],
+  catalog_editor: ['products:write', 'inventory:write', 'categories:write', 'promotions:write', 'purchasing:manage'],
+  warehouse_picker: ['orders:read', 'orders:fulfil', 'inventory:write'],
+  support_agent: ['orders:read', 'orders:cancel', 'returns:manage', 'users:read']
+};
+
+// Check whether a list of granted permissions includes the given permission
+const hasPermission = (granted, permission) => {
+  return Boolean(granted) && (granted.includes('*') || granted.includes(permission));
+};
+
+// Check whether every requested permission is covered by the granted ones,
+// so staff cannot hand out more access than they have themselves
+const coversPermissions = (granted, requested) => {
+  if (granted.includes('*')) {
+    return true;
+  }
+  return !requested.includes('*') && requested.every(permission => granted.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  hasPermission,
+  coversPermissions
+};
\ No newline at end of file
@@ -1,5 +1,91 @@
 const mongoose = require('mongoose');
 
+const UNITS = ['kg', 'g', 'lb', 'oz', 'piece', 'dozen', 'pack', 'liter', 'ml'];
+
+// Gross margin as a percentage of the selling price, or null without a cost price
+const marginOf = (price, costPrice) => {
+  if (costPrice === undefined || costPrice === null || !price) {
+    return null;
+  }
+  return Math.round((price - costPrice) / price * 1000) / 10;
+};
+
+// A purchasable option of a product, e.g. 1kg, 2kg or a 6-piece pack
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [100, 'Variant name cannot exceed 100 characters']
+  },
+  // Option attributes, e.g. { size: '2kg' } or { pack: '6 pieces' }
+  options: {
+    type: Map,
+    of: String
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  comparePrice: {
+    type: Number,
+    min: [0, 'Compare price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  reserved: {
+    type: Number,
+    min: [0, 'Reserved stock cannot be negative'],
+    default: 0
+  },
+  reorderPoint: {
+    type: Number,
+    min: [0, 'Reorder point cannot be negative']
+  },
+  reorderQuantity: {
+    type: Number,
+    min: [0, 'Reorder quantity cannot be negative']
+  },
+  costPrice: {
+    type: Number,
+    min: [0, 'Cost price cannot be negative'],
+    select: false
+  },
+  unit: {
+    type: String,
+    required: [true, 'Variant unit is required'],
+    enum: UNITS
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Variant stock that is not held by an active reservation
+variantSchema.virtual('availableStock').get(function() {
+  return Math.max(0, this.stock - (this.reserved || 0));
+});
+
+variantSchema.virtual('margin').get(function() {
+  return marginOf(this.price, this.costPrice);
+});
+
+variantSchema.set('toJSON', { virtuals: true });
+variantSchema.set('toObject', { virtuals: true });
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -49,10 +135,30 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+  reserved: {
+    type: Number,
+    min: [0, 'Reserved stock cannot be negative'],
+    default: 0
+  },
+  // Staff are alerted when stock falls to the reorder point; reorderQuantity is the usual order size
+  reorderPoint: {
+    type: Number,
+    min: [0, 'Reorder point cannot be negative']
+  },
+  reorderQuantity: {
+    type: Number,
+    min: [0, 'Reorder quantity cannot be negative']
+  },
+  // Weighted average cost of stock received; hidden unless selected with +costPrice
+  costPrice: {
+    type: Number,
+    min: [0, 'Cost price cannot be negative'],
+    select: false
+  },
   unit: {
     type: String,
     required: [true, 'Product unit is required'],
-    enum: ['kg', 'g', 'lb', 'oz', 'piece', 'dozen', 'pack', 'liter', 'ml']
+    enum: UNITS
   },
   weight: {
     type: Number,
@@ -63,6 +169,22 @@ const productSchema = new mongoose.Schema({
     width: Number,
     height: Number
   },
+  // When a product has variants, carts and orders must pick one and stock is kept per variant
+  variants: [variantSchema],
+  // Near-expiry markdown currently applied, with the prices to restore when it reverts
+  markdown: {
+    percentOff: Number,
+    originalPrice: Number,
+    originalComparePrice: Number,
+    variantPrices: [{
+      _id: false,
+      variant: mongoose.Schema.Types.ObjectId,
+      price: Number,
+      comparePrice: Number
+    }],
+    expiryDate: Date,
+    appliedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -117,4 +239,46 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Ensure variant compare prices are greater than their price and variant SKUs are unique
+productSchema.pre('save', function(next) {
+  const invalid = this.variants.find(variant => variant.comparePrice && variant.comparePrice <= variant.price);
+  if (invalid) {
+    return next(new Error(`Compare price of variant ${invalid.name} must be greater than its price`));
+  }
+  const skus = this.variants.map(variant => variant.sku).filter(Boolean);
+  if (new Set(skus).size !== skus.length) {
+    return next(new Error('Variant SKUs must be unique'));
+  }
+  next();
+});
+
+// The sellable unit for an order or cart line: the given variant, or the product itself
+// when it has no variants. Returns null if the variant is missing or inactive, or if a
+// product with variants was given none.
+productSchema.methods.getSellable = function(variantId) {
+  if (this.variants.length === 0) {
+    return variantId ? null : this;
+  }
+  const variant = variantId ? this.variants.id(variantId) : null;
+  return variant && variant.isActive ? variant : null;
+};
+
+// Stock that is not held by an active reservation
+productSchema.virtual('availableStock').get(function() {
+  return Math.max(0, this.stock - (this.reserved || 0));
+});
+
+// Gross margin percentage; only available when costPrice was selected
+productSchema.virtual('margin').get(function() {
+  return marginOf(this.price, this.costPrice);
+});
+
+// Ensure virtuals are included in JSON output
+productSchema.set('toJSON', { virtuals: true });
+productSchema.set('toObject', { virtuals: true });
+
+productSchema.statics.UNITS = UNITS;
+
+productSchema.index({ 'variants.sku': 1 });
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
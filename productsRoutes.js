@@ -1,11 +1,154 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Product = require('./productModel');
 const Category = require('./categoryModel');
-const { protect, admin } = require('./authController');
+const StockLot = require('./stockLotModel');
+const { protect, can } = require('./authController');
+const { syncLotStock, setStock, incrementStock, logStockMovement, addStockLot } = require('./inventoryController');
+const { applyMarkdowns, clearMarkdown, releaseVariantMarkdown } = require('./markdownController');
 
 const router = express.Router();
 
+// Whether a SKU is already used by a product or variant other than the one it is assigned to.
+// `own` is { product, variant } for the product (and variant) being saved, if it exists.
+const skuInUse = async (sku, own = {}) => {
+  const products = await Product.find({ $or: [{ sku }, { 'variants.sku': sku }] });
+  return products.some(product => {
+    const isOwn = own.product && product._id.equals(own.product);
+    if (product.sku === sku && !(isOwn && !own.variant)) {
+      return true;
+    }
+    return product.variants.some(variant =>
+      variant.sku === sku && !(isOwn && own.variant && variant._id.equals(own.variant))
+    );
+  });
+};
+
+// Reorder settings; null clears them
+const reorderValidation = [
+  body('reorderPoint').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Reorder point must be a non-negative integer'),
+  body('reorderQuantity').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Reorder quantity must be a non-negative integer')
+];
+
+// Opening cost price; receiving purchase orders keeps it up to date afterwards
+const costValidation = body('costPrice').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Cost price must be a positive number');
+
+// Variant fields validation; `optional` relaxes it for updates
+const variantValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Variant name must be 1 to 100 characters'),
+    field('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    field('unit').isIn(Product.UNITS).withMessage('Invalid unit'),
+    body('comparePrice').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Compare price must be a positive number'),
+    body('sku').optional().trim().notEmpty().withMessage('SKU cannot be empty'),
+    body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+    body('weight').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Weight must be a positive number'),
+    ...reorderValidation,
+    costValidation,
+    body('options').optional().isObject().withMessage('Options must be an object'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const VARIANT_FIELDS = [
+  'name', 'options', 'sku', 'price', 'comparePrice', 'unit', 'weight',
+  'reorderPoint', 'reorderQuantity', 'costPrice', 'isActive'
+];
+
+// Apply a set/add/subtract stock operation to a product (or variant) without lots. Adding and
+// subtracting are increments, so sales made since the stock was read are kept.
+// Returns the updated product, or null if there is not enough stock to subtract.
+const changeStock = (productId, variantId, stock, operation, context) => {
+  const quantity = parseInt(stock);
+  if (operation === 'add' || operation === 'subtract') {
+    return incrementStock(productId, variantId, operation === 'add' ? quantity : -quantity, context);
+  }
+  return setStock(productId, variantId, quantity, context);
+};
+
+const stockValidation = [
+  body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('operation').optional().isIn(['set', 'add', 'subtract']).withMessage('Operation must be set, add, or subtract'),
+  body('lotId').optional().isMongoId().withMessage('Valid lot ID is required'),
+  body('movementType').optional().isIn(['receipt', 'adjustment', 'write_off']).withMessage('Movement type must be receipt, adjustment, or write_off'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+];
+
+// Stock movement details for a manual stock change
+const movementContext = (req, extra = {}) => ({
+  type: req.body.movementType || 'adjustment',
+  actor: req.user.id,
+  note: req.body.note,
+  ...extra
+});
+
+// Apply a stock operation to one lot of a product (or variant) and resync the product's stock
+const updateLotStock = async (req, res, product, variantId) => {
+  const { stock, operation = 'set', lotId } = req.body;
+
+  if (!lotId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Stock is tracked by lot; lotId is required'
+    });
+  }
+
+  const lot = await StockLot.findOne({ _id: lotId, product: product._id, variant: variantId || null });
+  if (!lot) {
+    return res.status(404).json({
+      success: false,
+      message: 'Stock lot not found'
+    });
+  }
+
+  // Orders take from lots too, so adding and subtracting are increments and a set only lands
+  // while the lot still holds what was read
+  const quantity = parseInt(stock);
+  const change = operation === 'subtract' ? -quantity : quantity;
+  let filter = { _id: lot._id, quantity: lot.quantity };
+  let update = { quantity };
+  if (operation === 'add') {
+    filter = { _id: lot._id };
+    update = { $inc: { quantity: change } };
+  } else if (operation === 'subtract') {
+    filter = { _id: lot._id, quantity: { $gte: quantity } };
+    update = { $inc: { quantity: change } };
+  }
+
+  const updatedLot = await StockLot.findOneAndUpdate(filter, update, { new: true });
+  if (!updatedLot) {
+    return operation === 'subtract'
+      ? res.status(400).json({
+        success: false,
+        message: `Cannot subtract ${quantity}; not enough in the lot`
+      })
+      : res.status(409).json({
+        success: false,
+        message: 'Stock lot was modified by another request, please retry'
+      });
+  }
+  const previousQuantity = operation === 'set' ? lot.quantity : updatedLot.quantity - change;
+
+  await syncLotStock(product._id, variantId, null, movementContext(req, { lot: lot._id }));
+  // The earliest expiry may have changed, so a markdown may no longer apply
+  await applyMarkdowns({ productIds: [product._id] });
+
+  const updatedProduct = await Product.findById(product._id).populate('category', 'name slug');
+
+  res.status(200).json({
+    success: true,
+    message: 'Lot stock updated successfully',
+    data: {
+      product: updatedProduct,
+      lot: updatedLot,
+      previousQuantity,
+      newQuantity: updatedLot.quantity,
+      operation
+    }
+  });
+};
+
 // Get all products
 router.get('/', async (req, res) => {
   try {
@@ -37,11 +180,17 @@ router.get('/', async (req, res) => {
       query.category = category;
     }
     
-    // Price range filter
+    // Price range filter, matching the product price or any active variant's price
     if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+      const price = {};
+      if (minPrice) price.$gte = parseFloat(minPrice);
+      if (maxPrice) price.$lte = parseFloat(maxPrice);
+      query.$and = [{
+        $or: [
+          { price },
+          { variants: { $elemMatch: { price, isActive: true } } }
+        ]
+      }];
     }
     
     // Filter by active status
@@ -202,16 +351,18 @@ router.get('/category/:slug', async (req, res) => {
   }
 });
 
-// Create product (Admin only)
+// Create product (products:write)
 router.post('/', [
   protect,
-  admin,
+  can('products:write'),
   body('name').trim().isLength({ min: 2 }).withMessage('Product name must be at least 2 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('category').isMongoId().withMessage('Valid category ID is required'),
   body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
-  body('unit').isIn(['kg', 'g', 'lb', 'oz', 'piece', 'dozen', 'pack', 'liter', 'ml']).withMessage('Invalid unit')
+  body('unit').isIn(Product.UNITS).withMessage('Invalid unit'),
+  ...reorderValidation,
+  costValidation
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -227,7 +378,7 @@ router.post('/', [
     const {
       name, description, shortDescription, price, comparePrice, category,
       images, sku, stock, unit, weight, dimensions, tags,
-      nutritionalInfo, expiryDate, isFeatured
+      nutritionalInfo, expiryDate, isFeatured, reorderPoint, reorderQuantity, costPrice
     } = req.body;
 
     // Check if category exists
@@ -239,10 +390,9 @@ router.post('/', [
       });
     }
 
-    // Check if SKU already exists (if provided)
+    // Check if SKU already exists on a product or variant (if provided)
     if (sku) {
-      const existingProduct = await Product.findOne({ sku });
-      if (existingProduct) {
+      if (await skuInUse(sku)) {
         return res.status(400).json({
           success: false,
           message: 'Product with this SKU already exists'
@@ -267,9 +417,18 @@ router.post('/', [
       nutritionalInfo,
       expiryDate,
       isFeatured,
+      reorderPoint,
+      reorderQuantity,
+      costPrice,
       createdBy: req.user.id
     });
 
+    await logStockMovement(product._id, null, 0, product.stock, {
+      type: 'receipt',
+      actor: req.user.id,
+      note: 'Initial stock'
+    });
+
     await product.populate('category', 'name slug');
     await product.populate('createdBy', 'firstName lastName');
 
@@ -287,16 +446,18 @@ router.post('/', [
   }
 });
 
-// Update product (Admin only)
+// Update product (products:write)
 router.put('/:id', [
   protect,
-  admin,
+  can('products:write'),
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Product name must be at least 2 characters'),
   body('description').optional().trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('category').optional().isMongoId().withMessage('Valid category ID is required'),
   body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
-  body('unit').optional().isIn(['kg', 'g', 'lb', 'oz', 'piece', 'dozen', 'pack', 'liter', 'ml']).withMessage('Invalid unit')
+  body('unit').optional().isIn(Product.UNITS).withMessage('Invalid unit'),
+  ...reorderValidation,
+  costValidation
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -312,7 +473,7 @@ router.put('/:id', [
     const {
       name, description, shortDescription, price, comparePrice, category,
       images, sku, stock, unit, weight, dimensions, tags,
-      nutritionalInfo, expiryDate, isFeatured, isActive
+      nutritionalInfo, expiryDate, isFeatured, isActive, reorderPoint, reorderQuantity, costPrice
     } = req.body;
 
     // Check if product exists
@@ -337,11 +498,7 @@ router.put('/:id', [
 
     // Check if SKU already exists (if provided and different from current)
     if (sku && sku !== product.sku) {
-      const existingProduct = await Product.findOne({ 
-        sku, 
-        _id: { $ne: req.params.id } 
-      });
-      if (existingProduct) {
+      if (await skuInUse(sku, { product: product._id })) {
         return res.status(400).json({
           success: false,
           message: 'Product with this SKU already exists'
@@ -349,15 +506,40 @@ router.put('/:id', [
       }
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      {
-        name, description, shortDescription, price, comparePrice, category,
-        images, sku, stock, unit, weight, dimensions, tags,
-        nutritionalInfo, expiryDate, isFeatured, isActive
-      },
-      { new: true, runValidators: true }
-    ).populate('category', 'name slug').populate('createdBy', 'firstName lastName');
+    // Stock changes are logged, and lot-tracked stock can only change through its lots
+    const stockChanged = stock !== undefined && parseInt(stock) !== product.stock;
+    if (stockChanged && await StockLot.exists({ product: product._id, variant: null })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock is tracked by lot; update it through the stock route with a lotId'
+      });
+    }
+
+    const update = {
+      name, description, shortDescription, price, comparePrice, category,
+      images, sku, unit, weight, dimensions, tags,
+      nutritionalInfo, expiryDate, isFeatured, isActive, reorderPoint, reorderQuantity, costPrice
+    };
+
+    // A price set by hand replaces any markdown in place; variant prices go back to their own
+    if (price !== undefined) {
+      await clearMarkdown(product._id);
+    }
+
+    await Product.findByIdAndUpdate(req.params.id, update, { runValidators: true });
+
+    if (stockChanged) {
+      await setStock(product._id, null, parseInt(stock), { type: 'adjustment', actor: req.user.id });
+    }
+
+    // Re-evaluate markdowns against the new expiry date or category
+    if (expiryDate !== undefined || category !== undefined) {
+      await applyMarkdowns({ productIds: [product._id] });
+    }
+
+    const updatedProduct = await Product.findById(req.params.id)
+      .populate('category', 'name slug')
+      .populate('createdBy', 'firstName lastName');
 
     res.status(200).json({
       success: true,
@@ -373,8 +555,8 @@ router.put('/:id', [
   }
 });
 
-// Delete product (Admin only)
-router.delete('/:id', protect, admin, async (req, res) => {
+// Delete product (products:write)
+router.delete('/:id', protect, can('products:write'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -400,12 +582,11 @@ router.delete('/:id', protect, admin, async (req, res) => {
   }
 });
 
-// Update product stock (Admin only)
+// Update product stock (inventory:write)
 router.patch('/:id/stock', [
   protect,
-  admin,
-  body('stock').isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
-  body('operation').optional().isIn(['set', 'add', 'subtract']).withMessage('Operation must be set, add, or subtract')
+  can('inventory:write'),
+  ...stockValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -417,7 +598,7 @@ router.patch('/:id/stock', [
       });
     }
 
-    const { stock, operation = 'set' } = req.body;
+    const { stock, operation = 'set', lotId } = req.body;
     
     const product = await Product.findById(req.params.id);
     if (!product) {
@@ -427,23 +608,18 @@ router.patch('/:id/stock', [
       });
     }
 
-    let newStock;
-    switch (operation) {
-      case 'add':
-        newStock = product.stock + stock;
-        break;
-      case 'subtract':
-        newStock = Math.max(0, product.stock - stock);
-        break;
-      default:
-        newStock = stock;
+    // Lot-tracked stock is the sum of its lots, so operations apply to a lot
+    if (lotId || await StockLot.exists({ product: product._id, variant: null })) {
+      return updateLotStock(req, res, product);
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      { stock: newStock },
-      { new: true }
-    ).populate('category', 'name slug');
+    if (!await changeStock(product._id, null, stock, operation, movementContext(req))) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot subtract ${stock}; not enough in stock`
+      });
+    }
+    const updatedProduct = await Product.findById(req.params.id).populate('category', 'name slug');
 
     res.status(200).json({
       success: true,
@@ -451,7 +627,7 @@ router.patch('/:id/stock', [
       data: { 
         product: updatedProduct,
         previousStock: product.stock,
-        newStock: newStock,
+        newStock: updatedProduct.stock,
         operation: operation
       }
     });
@@ -464,4 +640,359 @@ router.patch('/:id/stock', [
   }
 });
 
+// Add a variant to a product (products:write)
+router.post('/:id/variants', [
+  protect,
+  can('products:write'),
+  ...variantValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (req.body.sku && await skuInUse(req.body.sku)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product with this SKU already exists'
+      });
+    }
+
+    const data = { stock: req.body.stock };
+    VARIANT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+    product.variants.push(data);
+    await product.save();
+
+    const variant = product.variants[product.variants.length - 1];
+    await logStockMovement(product._id, variant._id, 0, variant.stock, {
+      type: 'receipt',
+      actor: req.user.id,
+      note: 'Initial stock'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: {
+        product,
+        variant
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update a product variant (products:write); stock is changed through the stock route
+router.put('/:id/variants/:variantId', [
+  protect,
+  can('products:write'),
+  ...variantValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    // Check for duplicate SKU (if provided and different from current)
+    if (req.body.sku && req.body.sku !== variant.sku) {
+      if (await skuInUse(req.body.sku, { product: product._id, variant: variant._id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product with this SKU already exists'
+        });
+      }
+    }
+
+    // A price set by hand takes the variant out of any markdown in place
+    if (req.body.price !== undefined) {
+      releaseVariantMarkdown(product, variant._id);
+    }
+    VARIANT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) variant[field] = req.body[field];
+    });
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: { product, variant }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete a product variant (products:write)
+router.delete('/:id/variants/:variantId', protect, can('products:write'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    // Variants held in carts or pending orders are deactivated so their stock can still be released
+    if (variant.reserved > 0) {
+      variant.isActive = false;
+      await product.save();
+      return res.status(200).json({
+        success: true,
+        message: 'Variant has reserved stock and was deactivated instead of deleted',
+        data: { product }
+      });
+    }
+
+    variant.deleteOne();
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Variant deleted successfully',
+      data: { product }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update product variant stock (inventory:write)
+router.patch('/:id/variants/:variantId/stock', [
+  protect,
+  can('inventory:write'),
+  ...stockValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { stock, operation = 'set', lotId } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    if (lotId || await StockLot.exists({ product: product._id, variant: variant._id })) {
+      return updateLotStock(req, res, product, variant._id);
+    }
+
+    if (!await changeStock(product._id, variant._id, stock, operation, movementContext(req))) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot subtract ${stock}; not enough in stock`
+      });
+    }
+    const updatedProduct = await Product.findById(req.params.id).populate('category', 'name slug');
+    const updatedVariant = updatedProduct.variants.id(variant._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Variant stock updated successfully',
+      data: {
+        product: updatedProduct,
+        variant: updatedVariant,
+        previousStock: variant.stock,
+        newStock: updatedVariant.stock,
+        operation: operation
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// List a product's stock lots, first-expiry-first-out (inventory:write)
+router.get('/:id/lots', [
+  protect,
+  can('inventory:write'),
+  query('variantId').optional().isMongoId().withMessage('Valid variant ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { variantId, includeEmpty } = req.query;
+
+    const product = await Product.findById(req.params.id).select('name sku stock reserved expiryDate variants');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const filter = { product: product._id };
+    if (variantId) {
+      filter.variant = variantId;
+    }
+    if (includeEmpty !== 'true') {
+      filter.quantity = { $gt: 0 };
+    }
+
+    const now = new Date();
+    const lots = StockLot.sortFefo(await StockLot.find(filter)).map(lot => ({
+      ...lot.toJSON(),
+      sellable: lot.isSellable(now)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        product,
+        lots,
+        sellableQuantity: lots.filter(lot => lot.sellable).reduce((sum, lot) => sum + lot.quantity, 0)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Receive a stock lot (inventory:write).
+// Once a product (or variant) has lots, its stock is the sum of its sellable lots.
+router.post('/:id/lots', [
+  protect,
+  can('inventory:write'),
+  body('lotNumber').trim().isLength({ min: 1, max: 50 }).withMessage('Lot number must be 1 to 50 characters'),
+  body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer'),
+  body('variantId').optional().isMongoId().withMessage('Valid variant ID is required'),
+  body('receivedAt').optional().isISO8601().withMessage('Received date must be a valid date'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { lotNumber, quantity, variantId, receivedAt, expiresAt } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Products with variants keep lots per variant
+    if (variantId ? !product.variants.id(variantId) : product.variants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: variantId ? 'Variant not found' : 'Please choose a variant of this product'
+      });
+    }
+
+    const existingLot = await StockLot.findOne({ product: product._id, lotNumber });
+    if (existingLot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lot with this number already exists for this product'
+      });
+    }
+
+    // Stock held before the first lot is kept as an opening lot
+    const lot = await addStockLot({
+      product: product._id,
+      variant: variantId,
+      lotNumber,
+      quantity: parseInt(quantity),
+      receivedAt,
+      expiresAt
+    }, {
+      actor: req.user.id,
+      note: `Received lot ${lotNumber}`
+    });
+    // Fresh stock replaces near-dated stock, so a markdown may no longer apply
+    await applyMarkdowns({ productIds: [product._id] });
+
+    const updatedProduct = await Product.findById(product._id).populate('category', 'name slug');
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock lot received successfully',
+      data: { product: updatedProduct, lot }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
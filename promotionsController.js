@@ -0,0 +1,135 @@
+const Coupon = require('./couponModel');
+const CouponRedemption = require('./couponRedemptionModel');
+const CouponUsage = require('./couponUsageModel');
+
+// Round to cents
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Validate a coupon code against a basket and compute its discount.
+// `items` are { product, quantity, price } where product is a document with its category.
+// Returns { coupon, discountAmount, freeShipping } or { error }.
+exports.evaluateCoupon = async (code, { customerId, items, shippingCost = 0 }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    return { error: 'Coupon code is not valid' };
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { error: 'Coupon is not active yet' };
+  }
+  if (coupon.endsAt && coupon.endsAt <= now) {
+    return { error: 'Coupon has expired' };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { error: 'Coupon usage limit has been reached' };
+  }
+  if (coupon.usageLimitPerCustomer && customerId) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, customer: customerId });
+    if (used >= coupon.usageLimitPerCustomer) {
+      return { error: 'You have already used this coupon the maximum number of times' };
+    }
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (subtotal < coupon.minSpend) {
+    return { error: `Minimum spend of ${coupon.minSpend} is required for this coupon` };
+  }
+
+  const eligibleItems = items.filter(item => coupon.appliesTo(item.product));
+  if (eligibleItems.length === 0 && coupon.type !== 'free_shipping') {
+    return { error: 'Coupon does not apply to any items in your order' };
+  }
+  const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  let discountAmount = 0;
+  switch (coupon.type) {
+    case 'percentage':
+      discountAmount = eligibleSubtotal * coupon.value / 100;
+      if (coupon.maxDiscount) {
+        discountAmount = Math.min(discountAmount, coupon.maxDiscount);
+      }
+      break;
+    case 'fixed':
+      discountAmount = Math.min(coupon.value, eligibleSubtotal);
+      break;
+    case 'free_shipping':
+      discountAmount = shippingCost;
+      break;
+    case 'buy_x_get_y':
+      // Every full set of buy + get units of the same product makes `get` units free
+      discountAmount = eligibleItems.reduce((sum, item) => {
+        const sets = Math.floor(item.quantity / (coupon.buyQuantity + coupon.getQuantity));
+        return sum + sets * coupon.getQuantity * item.price;
+      }, 0);
+      break;
+  }
+
+  return {
+    coupon,
+    discountAmount: roundCurrency(Math.min(discountAmount, subtotal + shippingCost)),
+    freeShipping: coupon.type === 'free_shipping'
+  };
+};
+
+// Count one more use of a coupon by a customer, unless it would exceed the per-customer limit.
+// The counter is created on first use from the redemptions recorded before it existed.
+const claimCustomerUse = async (coupon, customerId, session) => {
+  const filter = { coupon: coupon._id, customer: customerId };
+  if (!(await CouponUsage.exists(filter).session(session))) {
+    const count = await CouponRedemption.countDocuments(filter).session(session);
+    await CouponUsage.create([{ ...filter, count }], { session });
+  }
+
+  const claimFilter = { ...filter };
+  if (coupon.usageLimitPerCustomer) {
+    claimFilter.count = { $lt: coupon.usageLimitPerCustomer };
+  }
+  const claimed = await CouponUsage.findOneAndUpdate(claimFilter, { $inc: { count: 1 } }, { new: true, session });
+  return Boolean(claimed);
+};
+
+// Record a coupon redemption for an order inside the given session.
+// The usage counter is only incremented while below the limit, so the last use cannot be taken twice.
+// Returns false if the coupon ran out in the meantime.
+exports.redeemCoupon = async (coupon, { customerId, orderId, discountAmount }, session) => {
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true, session });
+  if (!updated) {
+    return false;
+  }
+
+  if (!(await claimCustomerUse(coupon, customerId, session))) {
+    return false;
+  }
+
+  await CouponRedemption.create([{
+    coupon: coupon._id,
+    customer: customerId,
+    order: orderId,
+    discountAmount
+  }], { session });
+
+  return true;
+};
+
+// Give a cancelled order's coupon use back
+exports.releaseCouponRedemption = async (orderId, session) => {
+  const redemption = await CouponRedemption.findOneAndDelete({ order: orderId }, { session });
+  if (redemption) {
+    await Coupon.updateOne(
+      { _id: redemption.coupon, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+    await CouponUsage.updateOne(
+      { coupon: redemption.coupon, customer: redemption.customer, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+      { session }
+    );
+  }
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+// Allowed status transitions. Receiving moves a sent order to partially_received or received;
+// closing a partially received order accepts the shortfall.
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['partially_received', 'received', 'cancelled'],
+  partially_received: ['partially_received', 'received', 'closed'],
+  received: [],
+  closed: [],
+  cancelled: []
+};
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Product name and SKU when the line was added
+  name: {
+    type: String
+  },
+  sku: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+// Quantity of each line taken in by one delivery
+const receiptSchema = new mongoose.Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lines: [{
+    _id: false,
+    line: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    lot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockLot'
+    }
+  }],
+  note: {
+    type: String,
+    maxlength: 500
+  }
+});
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS)
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  _id: false
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  lines: {
+    type: [purchaseOrderLineSchema],
+    validate: [lines => lines.length > 0, 'At least one line is required']
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'draft'
+  },
+  statusHistory: [statusHistorySchema],
+  receipts: [receiptSchema],
+  totalCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expectedAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Generate PO number before validation so the required check passes
+purchaseOrderSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.poNumber) {
+    const count = await mongoose.model('PurchaseOrder').countDocuments();
+    this.poNumber = `PO-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+  }
+  next();
+});
+
+// Calculate the order's cost before saving
+purchaseOrderSchema.pre('save', function(next) {
+  this.totalCost = Math.round(this.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0) * 100) / 100;
+  next();
+});
+
+// Check whether the purchase order may move to the given status
+purchaseOrderSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+purchaseOrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
\ No newline at end of file
@@ -0,0 +1,572 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const PurchaseOrder = require('./purchaseOrderModel');
+const Supplier = require('./supplierModel');
+const Product = require('./productModel');
+const StockLot = require('./stockLotModel');
+const { protect, can } = require('./authController');
+const { receiveStock } = require('./inventoryController');
+const { sendNotifications } = require('./notificationController');
+
+const router = express.Router();
+
+// Round to cents
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Purchase order fields validation; `optional` relaxes it for updates
+const purchaseOrderValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('supplier').isMongoId().withMessage('Valid supplier ID is required'),
+    field('lines').isArray({ min: 1 }).withMessage('At least one line is required'),
+    body('lines.*.product').isMongoId().withMessage('Valid product ID is required'),
+    body('lines.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+    body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('lines.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+    body('expectedAt').optional({ values: 'null' }).isISO8601().withMessage('Expected date must be a valid date'),
+    body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+  ];
+};
+
+// Check the supplier can be ordered from; returns an error message or null
+const checkSupplier = async (supplierId) => {
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) {
+    return 'Supplier not found';
+  }
+  return supplier.isActive ? null : 'Supplier is inactive';
+};
+
+// Turn requested lines into purchase order lines with product names and SKUs.
+// Returns { lines } or { error }.
+const buildLines = async (requested) => {
+  const productIds = [...new Set(requested.map(line => line.product.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const lines = [];
+  for (const line of requested) {
+    const product = productMap.get(line.product.toString());
+    if (!product) {
+      return { error: `Product not found: ${line.product}` };
+    }
+
+    // Products with variants are bought per variant
+    const variant = line.variant ? product.variants.id(line.variant) : null;
+    if (line.variant ? !variant : product.variants.length > 0) {
+      return { error: line.variant ? `Variant not found: ${line.variant}` : `Please choose a variant of ${product.name}` };
+    }
+
+    lines.push({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      name: variant ? `${product.name} (${variant.name})` : product.name,
+      sku: variant ? variant.sku : product.sku,
+      quantity: parseInt(line.quantity),
+      unitCost: parseFloat(line.unitCost)
+    });
+  }
+
+  return { lines };
+};
+
+// Times to re-read a product whose stock moves while its cost price is being averaged
+const COST_PRICE_ATTEMPTS = 5;
+
+// Move a product's (or variant's) cost price to the weighted average of the stock on hand
+// and the quantity being received. The average is only written while stock and cost price are
+// still what it was computed from, so an order landing in between cannot skew it.
+const updateCostPrice = async (line, quantity, session) => {
+  for (let attempt = 0; attempt < COST_PRICE_ATTEMPTS; attempt++) {
+    const product = await Product.findById(line.product)
+      .select('+costPrice +variants.costPrice')
+      .session(session);
+    const stocked = product && (line.variant ? product.variants.id(line.variant) : product);
+    if (!stocked) {
+      return;
+    }
+
+    const onHand = Math.max(0, stocked.stock);
+    const current = stocked.costPrice;
+    const unset = current === undefined || current === null;
+    const costPrice = unset || onHand === 0
+      ? line.unitCost
+      : roundCurrency((onHand * current + quantity * line.unitCost) / (onHand + quantity));
+
+    const unchanged = { stock: stocked.stock, costPrice: unset ? null : current };
+    const updated = await Product.updateOne(
+      line.variant
+        ? { _id: product._id, variants: { $elemMatch: { _id: stocked._id, ...unchanged } } }
+        : { _id: product._id, ...unchanged },
+      { $set: { [line.variant ? 'variants.$[variant].costPrice' : 'costPrice']: costPrice } },
+      line.variant ? { arrayFilters: [{ 'variant._id': stocked._id }], session } : { session }
+    );
+    if (updated.matchedCount > 0) {
+      return;
+    }
+  }
+  throw new Error('Stock kept changing while updating the cost price; please try again');
+};
+
+// Get all purchase orders (purchasing:manage)
+router.get('/', protect, can('purchasing:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, supplier } = req.query;
+
+    let query = {};
+
+    // Filter by status
+    if (status) {
+      query.status = status;
+    }
+
+    // Filter by supplier
+    if (supplier) {
+      query.supplier = supplier;
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name')
+      .populate('createdBy', 'firstName lastName')
+      .select('-receipts -statusHistory')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchaseOrders,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get single purchase order (purchasing:manage)
+router.get('/:id', protect, can('purchasing:manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier')
+      .populate('lines.product', 'name slug sku unit stock')
+      .populate('receipts.receivedBy', 'firstName lastName')
+      .populate('statusHistory.changedBy', 'firstName lastName')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create a draft purchase order (purchasing:manage)
+router.post('/', [
+  protect,
+  can('purchasing:manage'),
+  ...purchaseOrderValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { supplier, expectedAt, notes } = req.body;
+
+    const supplierError = await checkSupplier(supplier);
+    if (supplierError) {
+      return res.status(400).json({
+        success: false,
+        message: supplierError
+      });
+    }
+
+    const built = await buildLines(req.body.lines);
+    if (built.error) {
+      return res.status(400).json({
+        success: false,
+        message: built.error
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+      supplier,
+      lines: built.lines,
+      expectedAt,
+      notes,
+      statusHistory: [{ status: 'draft', changedBy: req.user.id }],
+      createdBy: req.user.id
+    });
+    await purchaseOrder.populate('supplier', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update a draft purchase order (purchasing:manage)
+router.put('/:id', [
+  protect,
+  can('purchasing:manage'),
+  ...purchaseOrderValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    // Sent orders are with the supplier and can no longer be edited
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(409).json({
+        success: false,
+        message: `Purchase order is already ${purchaseOrder.status}`
+      });
+    }
+
+    const { supplier, lines, expectedAt, notes } = req.body;
+
+    if (supplier) {
+      const supplierError = await checkSupplier(supplier);
+      if (supplierError) {
+        return res.status(400).json({
+          success: false,
+          message: supplierError
+        });
+      }
+      purchaseOrder.supplier = supplier;
+    }
+
+    if (lines) {
+      const built = await buildLines(lines);
+      if (built.error) {
+        return res.status(400).json({
+          success: false,
+          message: built.error
+        });
+      }
+      purchaseOrder.lines = built.lines;
+    }
+
+    if (expectedAt !== undefined) purchaseOrder.expectedAt = expectedAt;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+    await purchaseOrder.save();
+    await purchaseOrder.populate('supplier', 'name');
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Mark a purchase order sent, cancel it, or close it short (purchasing:manage).
+// Received statuses are set by receiving stock.
+router.patch('/:id/status', [
+  protect,
+  can('purchasing:manage'),
+  body('status').isIn(['sent', 'cancelled', 'closed']).withMessage('Status must be sent, cancelled, or closed'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { status, note } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!purchaseOrder.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change purchase order status from ${purchaseOrder.status} to ${status}`,
+        data: { allowed: PurchaseOrder.STATUS_TRANSITIONS[purchaseOrder.status] }
+      });
+    }
+
+    const updateData = {
+      status,
+      $push: {
+        statusHistory: {
+          from: purchaseOrder.status,
+          status,
+          changedBy: req.user.id,
+          changedAt: new Date(),
+          note
+        }
+      }
+    };
+
+    if (status === 'sent') {
+      updateData.sentAt = new Date();
+    }
+
+    // Only apply the update if the status has not changed since it was read
+    const updatedPurchaseOrder = await PurchaseOrder.findOneAndUpdate(
+      { _id: purchaseOrder._id, status: purchaseOrder.status },
+      updateData,
+      { new: true, runValidators: true }
+    ).populate('supplier', 'name');
+
+    if (!updatedPurchaseOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Purchase order was modified by another request, please retry'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order status updated successfully',
+      data: { purchaseOrder: updatedPurchaseOrder }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Receive a delivery against a sent purchase order, adding the stock to inventory (inventory:write).
+// Without lines, everything still outstanding is received. Lot-tracked products need a lot number.
+router.post('/:id/receive', [
+  protect,
+  can('inventory:write'),
+  body('lines').optional().isArray({ min: 1 }).withMessage('Lines must be a non-empty array'),
+  body('lines.*.lineId').isMongoId().withMessage('Valid line ID is required'),
+  body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('lines.*.lotNumber').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Lot number must be 1 to 50 characters'),
+  body('lines.*.expiresAt').optional().isISO8601().withMessage('Expiry date must be a valid date'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { note } = req.body;
+
+    session.startTransaction();
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+    if (!purchaseOrder) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!purchaseOrder.canTransitionTo('received')) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: `Cannot receive a purchase order that is ${purchaseOrder.status}`
+      });
+    }
+
+    const requested = req.body.lines || purchaseOrder.lines
+      .filter(line => line.receivedQuantity < line.quantity)
+      .map(line => ({ lineId: line._id, quantity: line.quantity - line.receivedQuantity }));
+
+    // Check every line before touching stock. A line may arrive in several parts, e.g. one per lot,
+    // so the parts are added up against what is outstanding.
+    const requestedByLine = new Map();
+    const lotNumbers = new Set();
+    for (const item of requested) {
+      const line = purchaseOrder.lines.id(item.lineId);
+      if (!line) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Purchase order line not found: ${item.lineId}`
+        });
+      }
+
+      const outstanding = line.quantity - line.receivedQuantity;
+      const lineTotal = (requestedByLine.get(line._id.toString()) || 0) + parseInt(item.quantity);
+      requestedByLine.set(line._id.toString(), lineTotal);
+      if (lineTotal > outstanding) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Only ${outstanding} of ${line.name} outstanding`,
+          data: { lineId: line._id, outstanding }
+        });
+      }
+
+      const lotLine = { product: line.product, variant: line.variant || null };
+      if (!item.lotNumber && await StockLot.exists(lotLine).session(session)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `${line.name} is tracked by lot; a lot number is required`
+        });
+      }
+      const lotKey = `${line.product}:${item.lotNumber}`;
+      if (item.lotNumber && lotNumbers.has(lotKey)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Lot ${item.lotNumber} of ${line.name} appears more than once`
+        });
+      }
+      lotNumbers.add(lotKey);
+      if (item.lotNumber && await StockLot.exists({ product: line.product, lotNumber: item.lotNumber }).session(session)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Lot ${item.lotNumber} already exists for ${line.name}`
+        });
+      }
+    }
+
+    const receipt = { receivedBy: req.user.id, receivedAt: new Date(), lines: [], note };
+    // Opening stock written off as expired can raise low-stock notifications, sent once committed
+    const notifications = [];
+
+    for (const item of requested) {
+      const line = purchaseOrder.lines.id(item.lineId);
+      const quantity = parseInt(item.quantity);
+
+      await updateCostPrice(line, quantity, session);
+      const lot = await receiveStock({
+        product: line.product,
+        variant: line.variant,
+        quantity,
+        lotNumber: item.lotNumber,
+        expiresAt: item.expiresAt
+      }, {
+        actor: req.user.id,
+        purchaseOrder: purchaseOrder._id,
+        note: `Received on ${purchaseOrder.poNumber}`,
+        notifications
+      }, session);
+
+      line.receivedQuantity += quantity;
+      receipt.lines.push({ line: line._id, quantity, lot: lot ? lot._id : undefined });
+    }
+
+    // Fully received once every line is in; otherwise wait for the rest or close it short
+    const status = purchaseOrder.lines.every(line => line.receivedQuantity >= line.quantity)
+      ? 'received'
+      : 'partially_received';
+    purchaseOrder.statusHistory.push({
+      from: purchaseOrder.status,
+      status,
+      changedBy: req.user.id,
+      changedAt: receipt.receivedAt,
+      note
+    });
+    purchaseOrder.status = status;
+    purchaseOrder.receipts.push(receipt);
+    if (status === 'received') {
+      purchaseOrder.receivedAt = receipt.receivedAt;
+    }
+    await purchaseOrder.save({ session });
+
+    await session.commitTransaction();
+    sendNotifications(notifications);
+
+    await purchaseOrder.populate('supplier', 'name');
+
+    res.status(200).json({
+      success: true,
+      message: status === 'received' ? 'Purchase order received in full' : 'Purchase order partially received',
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = router;
\ No newline at end of file
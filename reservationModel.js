@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A time-limited hold on product (or variant) stock for a user's cart.
+// The held quantity is mirrored in the reserved counter so availability can be checked atomically.
+const reservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Held variant, for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One hold per user, product and variant
+reservationSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+reservationSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
\ No newline at end of file
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = ['damaged', 'expired', 'wrong_item', 'other'];
+
+const returnItemSchema = new mongoose.Schema({
+  // The order line being returned
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  // What happens to the goods once approved
+  disposition: {
+    type: String,
+    enum: ['restock', 'write_off']
+  }
+});
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  // 'refunding' is held while the payment is being refunded, so it cannot be refunded twice
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'refunding', 'refunded'],
+    default: 'requested'
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: 500
+  },
+  refundedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Generate RMA number before validation so the required check passes
+returnRequestSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    const count = await mongoose.model('ReturnRequest').countDocuments();
+    this.rmaNumber = `RMA-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+  }
+  next();
+});
+
+returnRequestSchema.statics.RETURN_REASONS = RETURN_REASONS;
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1 });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
\ No newline at end of file
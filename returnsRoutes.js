@@ -0,0 +1,554 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ReturnRequest = require('./returnRequestModel');
+const Order = require('./orderModel');
+const Setting = require('./settingModel');
+const { protect, can } = require('./authController');
+const { hasPermission } = require('./permissions');
+const { restoreStock } = require('./inventoryController');
+const { refundPayment } = require('./paymentController');
+const { sendNotifications } = require('./notificationController');
+
+const router = express.Router();
+
+// Days after delivery during which a return can be requested
+const getReturnWindowDays = () => {
+  return Setting.getValue('returns.windowDays', parseInt(process.env.RETURN_WINDOW_DAYS) || 14);
+};
+
+// Round to cents
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Amount the customer paid for the returned units: line price plus added tax,
+// less the line's share of the order discount, capped at what is still refundable
+const calculateRefund = (order, returnRequest) => {
+  const amount = returnRequest.items.reduce((sum, item) => {
+    const line = order.items.id(item.orderItem);
+    if (!line) {
+      return sum;
+    }
+    const tax = order.pricesIncludeTax ? 0 : line.taxAmount;
+    const discount = order.subtotal > 0 ? order.discountAmount * line.total / order.subtotal : 0;
+    return sum + (line.total + tax - discount) * item.quantity / line.quantity;
+  }, 0);
+  return Math.max(Math.min(roundCurrency(amount), roundCurrency(order.totalAmount - order.refundedAmount)), 0);
+};
+
+// Refund an approved return against its order, to the original payment or as store credit,
+// and mark it refunded. The return is claimed first so concurrent requests cannot both pay out;
+// it goes back to approved if the refund fails.
+// Returns { returnRequest, refundedTotal } or { error, conflict }.
+const issueRefund = async (returnRequest, amount, performedBy, toStoreCredit) => {
+  const claimed = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: 'approved' },
+    { status: 'refunding' },
+    { new: true }
+  );
+  if (!claimed) {
+    return { error: 'Return is already refunded or being refunded', conflict: true };
+  }
+  const release = () => ReturnRequest.updateOne(
+    { _id: returnRequest._id, status: 'refunding' },
+    { status: 'approved' }
+  );
+
+  let result;
+  try {
+    const order = await Order.findById(returnRequest.order);
+    const refundAmount = amount !== undefined ? amount : calculateRefund(order, returnRequest);
+    result = await refundPayment(order, refundAmount, {
+      performedBy,
+      note: `Return ${returnRequest.rmaNumber}`,
+      toStoreCredit
+    });
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  if (result.error) {
+    await release();
+    return { error: result.error };
+  }
+
+  const updated = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: 'refunding' },
+    { status: 'refunded', refundAmount: result.transaction.amount, refundedAt: new Date() },
+    { new: true }
+  );
+  return { returnRequest: updated, refundedTotal: result.refundedTotal };
+};
+
+// Get the return window (all users)
+router.get('/settings', protect, async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { windowDays: await getReturnWindowDays() }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Set the return window (returns:manage)
+router.put('/settings', [
+  protect,
+  can('returns:manage'),
+  body('windowDays').isInt({ min: 0, max: 365 }).toInt().withMessage('Return window must be between 0 and 365 days')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    await Setting.setValue('returns.windowDays', req.body.windowDays, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Return settings updated successfully',
+      data: { windowDays: req.body.windowDays }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get return requests (returns:manage gets all, Users get their own)
+router.get('/', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, order } = req.query;
+
+    let query = {};
+    if (!hasPermission(req.permissions, 'returns:manage')) {
+      query.customer = req.user.id;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (order) {
+      query.order = order;
+    }
+
+    const returns = await ReturnRequest.find(query)
+      .populate('order', 'orderNumber totalAmount refundedAmount')
+      .populate('customer', 'firstName lastName email')
+      .populate('items.product', 'name slug images')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ReturnRequest.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        returns,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get single return request
+router.get('/:id', protect, async (req, res) => {
+  try {
+    let query = { _id: req.params.id };
+    if (!hasPermission(req.permissions, 'returns:manage')) {
+      query.customer = req.user.id;
+    }
+
+    const returnRequest = await ReturnRequest.findOne(query)
+      .populate('order', 'orderNumber totalAmount refundedAmount deliveredAt')
+      .populate('customer', 'firstName lastName email')
+      .populate('items.product', 'name slug images')
+      .populate('reviewedBy', 'firstName lastName');
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { returnRequest }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Request a return for lines of a delivered order
+router.post('/', [
+  protect,
+  body('orderId').isMongoId().withMessage('Valid order ID is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.orderItemId').isMongoId().withMessage('Valid order item ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).toInt().withMessage('Quantity must be at least 1'),
+  body('items.*.reason').isIn(ReturnRequest.RETURN_REASONS).withMessage('Invalid return reason'),
+  body('items.*.note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId, items } = req.body;
+
+    const order = await Order.findOne({ _id: orderId, customer: req.user.id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'delivered' || !order.deliveredAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only delivered orders can be returned'
+      });
+    }
+
+    const windowDays = await getReturnWindowDays();
+    const windowEnd = new Date(order.deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnd) {
+      return res.status(400).json({
+        success: false,
+        message: `Returns must be requested within ${windowDays} days of delivery`
+      });
+    }
+
+    // Units already in a return that was not rejected, per order line
+    const previous = await ReturnRequest.find({ order: order._id, status: { $ne: 'rejected' } });
+    const alreadyReturned = new Map();
+    previous.forEach(returnRequest => {
+      returnRequest.items.forEach(item => {
+        const key = item.orderItem.toString();
+        alreadyReturned.set(key, (alreadyReturned.get(key) || 0) + item.quantity);
+      });
+    });
+
+    const returnItems = [];
+    for (const item of items) {
+      const line = order.items.id(item.orderItemId);
+      if (!line) {
+        return res.status(400).json({
+          success: false,
+          message: `Order item not found: ${item.orderItemId}`
+        });
+      }
+
+      const returnable = line.quantity - (alreadyReturned.get(line._id.toString()) || 0);
+      if (item.quantity > returnable) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${returnable} unit(s) of this item can still be returned`,
+          data: { orderItemId: line._id, returnable }
+        });
+      }
+      alreadyReturned.set(line._id.toString(), (alreadyReturned.get(line._id.toString()) || 0) + item.quantity);
+
+      returnItems.push({
+        orderItem: line._id,
+        product: line.product,
+        variant: line.variant,
+        quantity: item.quantity,
+        reason: item.reason,
+        note: item.note
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      order: order._id,
+      customer: req.user.id,
+      items: returnItems
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: { returnRequest }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Approve a return, restocking or writing off the items, and refund it (returns:manage).
+// Set refund to false to refund later through POST /:id/refund, or storeCredit to refund to the wallet.
+router.patch('/:id/approve', [
+  protect,
+  can('returns:manage'),
+  body('disposition').optional().isIn(['restock', 'write_off']).withMessage('Disposition must be restock or write_off'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.itemId').isMongoId().withMessage('Valid return item ID is required'),
+  body('items.*.disposition').isIn(['restock', 'write_off']).withMessage('Disposition must be restock or write_off'),
+  body('refund').optional().isBoolean().toBoolean().withMessage('Refund must be a boolean'),
+  body('refundAmount').optional().isFloat({ gt: 0 }).toFloat().withMessage('Refund amount must be greater than 0'),
+  body('storeCredit').optional().isBoolean().toBoolean().withMessage('storeCredit must be a boolean')
+], async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { disposition = 'restock', items = [], refund = true, refundAmount, storeCredit = false } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (returnRequest.status !== 'requested') {
+      return res.status(409).json({
+        success: false,
+        message: `Return request is already ${returnRequest.status}`
+      });
+    }
+
+    // Per-item dispositions override the default
+    const overrides = new Map(items.map(item => [item.itemId.toString(), item.disposition]));
+    returnRequest.items.forEach(item => {
+      item.disposition = overrides.get(item._id.toString()) || disposition;
+    });
+
+    session.startTransaction();
+
+    // Only approve once, even if two staff members act at the same time
+    const approved = await ReturnRequest.findOneAndUpdate(
+      { _id: returnRequest._id, status: 'requested' },
+      {
+        status: 'approved',
+        items: returnRequest.items,
+        reviewedBy: req.user.id,
+        reviewedAt: new Date()
+      },
+      { new: true, session }
+    );
+    if (!approved) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Return request was modified by another request, please retry'
+      });
+    }
+
+    // Put returned goods back on sale, into the lots they were sold from; written off goods are not restocked
+    const order = await Order.findById(approved.order).session(session);
+    const notifications = [];
+    await restoreStock(approved.items
+      .filter(item => item.disposition === 'restock')
+      .map(item => {
+        const line = order && order.items.id(item.orderItem);
+        return {
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity,
+          lots: line ? line.lots : []
+        };
+      }), session, {
+        type: 'return',
+        order: approved.order,
+        returnRequest: approved._id,
+        actor: req.user.id,
+        notifications
+      });
+
+    await session.commitTransaction();
+    sendNotifications(notifications);
+
+    if (!refund) {
+      return res.status(200).json({
+        success: true,
+        message: 'Return approved successfully',
+        data: { returnRequest: approved }
+      });
+    }
+
+    const result = await issueRefund(approved, refundAmount, req.user.id, storeCredit);
+    if (result.error) {
+      return res.status(200).json({
+        success: true,
+        message: `Return approved, but the refund could not be issued: ${result.error}`,
+        data: { returnRequest: approved }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Return approved and refunded successfully',
+      data: {
+        returnRequest: result.returnRequest,
+        refundedTotal: result.refundedTotal
+      }
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Refund an approved return (returns:manage)
+router.post('/:id/refund', [
+  protect,
+  can('returns:manage'),
+  body('amount').optional().isFloat({ gt: 0 }).toFloat().withMessage('Amount must be greater than 0'),
+  body('storeCredit').optional().isBoolean().toBoolean().withMessage('storeCredit must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (returnRequest.status !== 'approved') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only approved returns can be refunded'
+      });
+    }
+
+    const result = await issueRefund(returnRequest, req.body.amount, req.user.id, req.body.storeCredit);
+    if (result.error) {
+      return res.status(result.conflict ? 409 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Return refunded successfully',
+      data: {
+        returnRequest: result.returnRequest,
+        refundedTotal: result.refundedTotal
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Reject a return (returns:manage)
+router.patch('/:id/reject', [
+  protect,
+  can('returns:manage'),
+  body('reason').trim().notEmpty().isLength({ max: 500 }).withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'requested' },
+      {
+        status: 'rejected',
+        rejectionReason: req.body.reason,
+        reviewedBy: req.user.id,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!returnRequest) {
+      const exists = await ReturnRequest.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Only requested returns can be rejected' : 'Return request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Return rejected successfully',
+      data: { returnRequest }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('./permissions');
+
+// Custom role defined by an admin in addition to the built-in roles
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, numbers and underscores'],
+    validate: {
+      validator: name => !Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name),
+      message: 'Role name is reserved for a built-in role'
+    }
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Resolve the permissions granted by a built-in or custom role
+roleSchema.statics.permissionsFor = async function(name) {
+  if (Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name)) {
+    return BUILT_IN_ROLES[name];
+  }
+  const role = await this.findOne({ name });
+  return role ? role.permissions : [];
+};
+
+// Check whether a built-in or custom role with this name exists
+roleSchema.statics.isDefined = async function(name) {
+  if (Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name)) {
+    return true;
+  }
+  return Boolean(await this.findOne({ name }));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
\ No newline at end of file
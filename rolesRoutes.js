@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('./roleModel');
+const User = require('./userModel');
+const { protect, can } = require('./authController');
+const { PERMISSIONS, BUILT_IN_ROLES, coversPermissions } = require('./permissions');
+
+const router = express.Router();
+
+const OUTRANKED_MESSAGE = 'You cannot grant permissions you do not have yourself';
+
+// Get all roles and available permissions (roles:manage)
+router.get('/', protect, can('roles:manage'), async (req, res) => {
+  try {
+    const customRoles = await Role.find()
+      .populate('createdBy', 'firstName lastName')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS,
+        builtInRoles: Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({
+          name,
+          permissions: permissions.includes('*') ? PERMISSIONS : permissions,
+          builtIn: true
+        })),
+        customRoles
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create custom role (roles:manage)
+router.post('/', [
+  protect,
+  can('roles:manage'),
+  body('name').trim().isLength({ min: 2 }).withMessage('Role name must be at least 2 characters'),
+  body('description').optional().isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(PERMISSIONS).withMessage('Invalid permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (!coversPermissions(req.permissions, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: OUTRANKED_MESSAGE
+      });
+    }
+
+    if (await Role.isDefined(name.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update custom role (roles:manage)
+router.put('/:id', [
+  protect,
+  can('roles:manage'),
+  body('description').optional().isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(PERMISSIONS).withMessage('Invalid permission')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Staff can only edit roles within their own permissions, and only grant what they have
+    if (!coversPermissions(req.permissions, role.permissions) ||
+      (permissions && !coversPermissions(req.permissions, permissions))) {
+      return res.status(403).json({
+        success: false,
+        message: OUTRANKED_MESSAGE
+      });
+    }
+
+    if (description !== undefined) role.description = description;
+    if (permissions) role.permissions = [...new Set(permissions)];
+    await role.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete custom role (roles:manage)
+router.delete('/:id', protect, can('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Prevent deleting a role that is still assigned
+    const assigned = await User.countDocuments({ role: role.name });
+    if (assigned > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${assigned} user(s) and cannot be deleted`
+      });
+    }
+
+    await Role.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,103 @@
+const ShippingZone = require('./shippingZoneModel');
+
+// Divisor turning cm³ into volumetric kg
+const VOLUMETRIC_DIVISOR = parseInt(process.env.SHIPPING_VOLUMETRIC_DIVISOR) || 5000;
+
+// Flat shipping cost charged while no shipping zones are configured
+const FLAT_RATE = parseFloat(process.env.SHIPPING_FLAT_RATE) || 0;
+
+// Round to cents
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Billable weight (kg) of order lines: the greater of actual and volumetric weight per unit.
+// `items` are { product, variant, quantity } where product is a document with weight and dimensions.
+exports.getBillableWeight = (items) => {
+  const weight = items.reduce((sum, item) => {
+    const { dimensions = {} } = item.product;
+    // A variant's own weight (e.g. a larger pack) takes precedence over the product's
+    const variant = item.variant && item.product.variants ? item.product.variants.id(item.variant) : null;
+    const weight = (variant && variant.weight) || item.product.weight || 0;
+    const { length = 0, width = 0, height = 0 } = dimensions;
+    const volumetric = (length * width * height) / VOLUMETRIC_DIVISOR;
+    return sum + Math.max(weight || 0, volumetric || 0) * item.quantity;
+  }, 0);
+  return Math.round(weight * 1000) / 1000;
+};
+
+// Find the most specific active zone serving an address
+exports.findZone = async (address) => {
+  const zones = await ShippingZone.find({
+    isActive: true,
+    countries: String(address.country || '').trim().toUpperCase()
+  });
+
+  return zones
+    .filter(zone => zone.matches(address))
+    .sort((a, b) => b.specificity - a.specificity)[0] || null;
+};
+
+// Price one method for a basket weight and value; null if it cannot carry the order
+const priceMethod = (method, weight, subtotal) => {
+  if (!method.isActive || (method.maxWeight && weight > method.maxWeight)) {
+    return null;
+  }
+  const free = method.freeOver !== undefined && method.freeOver !== null && subtotal >= method.freeOver;
+  return {
+    type: method.type,
+    name: method.name,
+    cost: free ? 0 : roundCurrency(method.baseRate + method.perKgRate * weight),
+    freeShipping: free,
+    estimatedDays: method.estimatedDays
+  };
+};
+
+// List the shipping options for order lines going to an address.
+// `items` are { product, quantity, price }.
+// Returns { zone, weight, methods } or { error }; zone is null while no zones are configured.
+exports.quoteShipping = async ({ items, address }) => {
+  const weight = exports.getBillableWeight(items);
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  const zone = await exports.findZone(address);
+  if (!zone) {
+    // Until zones are set up, every address gets flat-rate standard delivery
+    if (!(await ShippingZone.exists({ isActive: true }))) {
+      return {
+        zone: null,
+        weight,
+        methods: [{ type: 'standard', name: 'Standard delivery', cost: FLAT_RATE, freeShipping: FLAT_RATE === 0 }]
+      };
+    }
+    return { error: 'We do not deliver to this address' };
+  }
+
+  const methods = zone.methods
+    .map(method => priceMethod(method, weight, subtotal))
+    .filter(Boolean);
+
+  return { zone, weight, methods };
+};
+
+// Compute the cost of the chosen method for order lines going to an address.
+// Returns { shippingMethod: { type, name, zone }, shippingCost, weight } or { error }.
+exports.calculateShipping = async ({ items, address, method }) => {
+  const quote = await exports.quoteShipping({ items, address });
+  if (quote.error) {
+    return { error: quote.error };
+  }
+
+  const option = quote.methods.find(candidate => candidate.type === method);
+  if (!option) {
+    return { error: `Shipping method '${method}' is not available for this order` };
+  }
+
+  return {
+    shippingMethod: {
+      type: option.type,
+      name: option.name,
+      zone: quote.zone ? quote.zone._id : null
+    },
+    shippingCost: option.cost,
+    weight: quote.weight
+  };
+};
\ No newline at end of file
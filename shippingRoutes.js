@@ -0,0 +1,248 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ShippingZone = require('./shippingZoneModel');
+const Cart = require('./cartModel');
+const User = require('./userModel');
+const { protect, can } = require('./authController');
+const { quoteShipping } = require('./shippingController');
+
+const router = express.Router();
+
+// Zone and method validation; `optional` relaxes it for updates
+const zoneValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').trim().notEmpty().withMessage('Zone name is required'),
+    field('countries').isArray({ min: 1 }).withMessage('At least one country is required'),
+    body('countries.*').trim().notEmpty().withMessage('Country cannot be empty'),
+    body('states').optional().isArray().withMessage('States must be an array'),
+    body('postcodes').optional().isArray().withMessage('Postcodes must be an array'),
+    body('methods').optional().isArray().withMessage('Methods must be an array'),
+    body('methods.*.type').isIn(ShippingZone.METHOD_TYPES).withMessage('Invalid shipping method type'),
+    body('methods.*.name').trim().notEmpty().withMessage('Shipping method name is required'),
+    body('methods.*.baseRate').optional().isFloat({ min: 0 }).withMessage('Base rate must be a positive number'),
+    body('methods.*.perKgRate').optional().isFloat({ min: 0 }).withMessage('Per kg rate must be a positive number'),
+    body('methods.*.freeOver').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Free shipping threshold must be a positive number'),
+    body('methods.*.maxWeight').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Maximum weight must be a positive number'),
+    body('methods.*.estimatedDays').optional().isInt({ min: 0 }).withMessage('Estimated days must be a positive integer'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const ZONE_FIELDS = ['name', 'countries', 'states', 'postcodes', 'methods', 'isActive'];
+
+// Quote shipping options for the user's cart.
+// The destination is an address book entry, an address in the query, or the default shipping address.
+router.get('/quote', [
+  protect,
+  query('addressId').optional().isMongoId().withMessage('Valid address ID is required'),
+  query('country').optional().trim().notEmpty().withMessage('Country cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { addressId, country, state, zipCode } = req.query;
+
+    let address = country ? { country, state, zipCode } : null;
+    if (!address) {
+      const user = await User.findById(req.user.id);
+      const entry = addressId
+        ? user.addresses.id(addressId)
+        : user.addresses.find(candidate => candidate.isDefaultShipping);
+      if (!entry) {
+        return res.status(400).json({
+          success: false,
+          message: 'A destination country or addressId is required'
+        });
+      }
+      address = entry;
+    }
+
+    const cart = await Cart.findOne({ user: req.user.id })
+      .populate('items.product', 'name price weight dimensions variants isActive');
+
+    const items = cart
+      ? cart.items.filter(item => item.product && item.product.isActive)
+      : [];
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const quote = await quoteShipping({
+      items: items.map(item => {
+        const sellable = item.product.getSellable(item.variant) || item.product;
+        return {
+          product: item.product,
+          variant: item.variant,
+          quantity: item.quantity,
+          price: sellable.price
+        };
+      }),
+      address
+    });
+    if (quote.error) {
+      return res.status(400).json({
+        success: false,
+        message: quote.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        zone: quote.zone && { _id: quote.zone._id, name: quote.zone.name },
+        weight: quote.weight,
+        methods: quote.methods
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get all shipping zones (shipping:write)
+router.get('/zones', protect, can('shipping:write'), async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { zones }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create shipping zone (shipping:write)
+router.post('/zones', [
+  protect,
+  can('shipping:write'),
+  ...zoneValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const existingZone = await ShippingZone.findOne({ name: req.body.name });
+    if (existingZone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping zone with this name already exists'
+      });
+    }
+
+    const data = {};
+    ZONE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const zone = await ShippingZone.create({ ...data, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created successfully',
+      data: { zone }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update shipping zone (shipping:write)
+router.put('/zones/:id', [
+  protect,
+  can('shipping:write'),
+  ...zoneValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    ZONE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) zone[field] = req.body[field];
+    });
+    await zone.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone updated successfully',
+      data: { zone }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete shipping zone (shipping:write)
+router.delete('/zones/:id', protect, can('shipping:write'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
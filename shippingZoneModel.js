@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const SHIPPING_METHOD_TYPES = ['standard', 'express', 'same_day', 'pickup'];
+
+// A delivery option offered in a zone; cost is baseRate + perKgRate * billable weight
+const shippingMethodSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SHIPPING_METHOD_TYPES,
+    required: [true, 'Shipping method type is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Shipping method name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  baseRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Base rate cannot be negative']
+  },
+  perKgRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per kg rate cannot be negative']
+  },
+  // Order value from which this method is free
+  freeOver: {
+    type: Number,
+    min: [0, 'Free shipping threshold cannot be negative']
+  },
+  // Heaviest billable weight (kg) the method accepts
+  maxWeight: {
+    type: Number,
+    min: [0, 'Maximum weight cannot be negative']
+  },
+  estimatedDays: {
+    type: Number,
+    min: [0, 'Estimated days cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Destinations served together; an empty states or postcodes list matches the whole country
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  countries: {
+    type: [{ type: String, uppercase: true, trim: true }],
+    validate: [countries => countries.length > 0, 'At least one country is required']
+  },
+  states: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  // Postcode prefixes, e.g. for local same-day delivery areas
+  postcodes: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  methods: [shippingMethodSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Each method type may only be offered once per zone
+shippingZoneSchema.pre('save', function(next) {
+  const types = this.methods.map(method => method.type);
+  if (new Set(types).size !== types.length) {
+    return next(new Error('Each shipping method type can only be offered once per zone'));
+  }
+  next();
+});
+
+// Check whether the zone serves an address
+shippingZoneSchema.methods.matches = function(address) {
+  const country = String(address.country || '').trim().toUpperCase();
+  const state = String(address.state || '').trim().toUpperCase();
+  const zipCode = String(address.zipCode || '').replace(/\s/g, '').toUpperCase();
+
+  return this.countries.includes(country) &&
+    (this.states.length === 0 || this.states.includes(state)) &&
+    (this.postcodes.length === 0 || this.postcodes.some(prefix => zipCode.startsWith(prefix.replace(/\s/g, ''))));
+};
+
+// How narrowly the zone is defined; the most specific matching zone is used
+shippingZoneSchema.virtual('specificity').get(function() {
+  return (this.postcodes.length > 0 ? 2 : 0) + (this.states.length > 0 ? 1 : 0);
+});
+
+shippingZoneSchema.statics.METHOD_TYPES = SHIPPING_METHOD_TYPES;
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
\ No newline at end of file
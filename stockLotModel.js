@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// A batch of a product (or variant) received together, sharing a lot number and best-before date.
+// Products with lots have their stock kept as the sum of their sellable lots.
+const stockLotSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  lotNumber: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    trim: true,
+    maxlength: [50, 'Lot number cannot exceed 50 characters']
+  },
+  // Quantity left in the lot
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  receivedQuantity: {
+    type: Number,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Set when the sweeper takes an expired lot out of sellable stock
+  expiredAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Remember the quantity the lot arrived with
+stockLotSchema.pre('save', function(next) {
+  if (this.isNew && this.receivedQuantity === undefined) {
+    this.receivedQuantity = this.quantity;
+  }
+  next();
+});
+
+// Whether the lot can still be sold at the given time
+stockLotSchema.methods.isSellable = function(at = new Date()) {
+  return this.quantity > 0 && (!this.expiresAt || this.expiresAt > at);
+};
+
+stockLotSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+});
+
+// Query condition for lots that can still be sold
+stockLotSchema.statics.sellableFilter = function(at = new Date()) {
+  return {
+    quantity: { $gt: 0 },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }]
+  };
+};
+
+// First-expiry-first-out order; lots without a best-before date go last
+stockLotSchema.statics.sortFefo = function(lots) {
+  return [...lots].sort((a, b) => {
+    const aExpiry = a.expiresAt ? a.expiresAt.getTime() : Infinity;
+    const bExpiry = b.expiresAt ? b.expiresAt.getTime() : Infinity;
+    return aExpiry - bExpiry || a.receivedAt - b.receivedAt;
+  });
+};
+
+stockLotSchema.index({ product: 1, lotNumber: 1 }, { unique: true });
+stockLotSchema.index({ product: 1, variant: 1, expiresAt: 1 });
+stockLotSchema.index({ expiresAt: 1, expiredAt: 1 });
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
\ No newline at end of file
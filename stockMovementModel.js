@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// 'opening_balance' records the stock a product held before its first logged movement
+const MOVEMENT_TYPES = ['opening_balance', 'receipt', 'sale', 'cancellation', 'return', 'adjustment', 'write_off'];
+
+// Append-only log of every change to a product's (or variant's) stock
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot'
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  // Signed change in stock; negative when stock went down
+  quantity: {
+    type: Number,
+    required: true
+  },
+  stockBefore: {
+    type: Number,
+    required: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Movements are never changed or removed; corrections are new movements
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Stock movements cannot be changed'));
+  }
+);
+
+stockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+stockMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
\ No newline at end of file
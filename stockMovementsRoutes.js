@@ -0,0 +1,182 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const StockMovement = require('./stockMovementModel');
+const Product = require('./productModel');
+const { protect, can } = require('./authController');
+const { stockKey } = require('./inventoryController');
+
+const router = express.Router();
+
+// Get stock movements, newest first (inventory:write)
+router.get('/', [
+  protect,
+  can('inventory:write'),
+  query('product').optional().isMongoId().withMessage('Valid product ID is required'),
+  query('variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+  query('order').optional().isMongoId().withMessage('Valid order ID is required'),
+  query('type').optional().isIn(StockMovement.MOVEMENT_TYPES).withMessage('Invalid movement type'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, product, variant, order, type, from, to } = req.query;
+
+    let filter = {};
+    if (product) filter.product = product;
+    if (variant) filter.variant = variant;
+    if (order) filter.order = order;
+    if (type) filter.type = type;
+
+    // Filter by date range
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const movements = await StockMovement.find(filter)
+      .populate('product', 'name sku')
+      .populate('actor', 'firstName lastName')
+      .populate('order', 'orderNumber status')
+      .populate('returnRequest', 'rmaNumber status')
+      .populate('lot', 'lotNumber expiresAt')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await StockMovement.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Compare current stock with the sum of logged movements for each product,
+// or each variant of products with variants (inventory:write).
+// Stock that has not moved since the ledger started has no opening balance yet, so it is
+// reported as untracked rather than mismatched.
+router.get('/reconcile', [
+  protect,
+  can('inventory:write'),
+  query('product').optional().isMongoId().withMessage('Valid product ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, product, onlyMismatched } = req.query;
+
+    const filter = product ? { _id: product } : {};
+    const products = await Product.find(filter)
+      .select('name sku stock variants')
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const totals = await StockMovement.aggregate([
+      { $match: { product: { $in: products.map(p => p._id) } } },
+      {
+        $group: {
+          _id: { product: '$product', variant: '$variant' },
+          ledgerStock: { $sum: '$quantity' },
+          movements: { $sum: 1 },
+          lastMovementAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+    const totalMap = new Map(totals.map(t => [stockKey(t._id.product, t._id.variant), t]));
+
+    // Products with variants keep stock per variant
+    let lines = [];
+    products.forEach(p => {
+      const stocks = p.variants.length > 0
+        ? p.variants.map(variant => ({ variant: variant._id, variantName: variant.name, sku: variant.sku, stock: variant.stock }))
+        : [{ sku: p.sku, stock: p.stock }];
+
+      stocks.forEach(line => {
+        const total = totalMap.get(stockKey(p._id, line.variant));
+        const ledgerStock = total ? total.ledgerStock : 0;
+        const untracked = !total && line.stock !== 0;
+        lines.push({
+          product: p._id,
+          name: p.name,
+          variant: line.variant,
+          variantName: line.variantName,
+          sku: line.sku,
+          currentStock: line.stock,
+          ledgerStock,
+          difference: line.stock - ledgerStock,
+          inSync: untracked ? null : line.stock === ledgerStock,
+          untracked,
+          movements: total ? total.movements : 0,
+          lastMovementAt: total ? total.lastMovementAt : null
+        });
+      });
+    });
+
+    const mismatched = lines.filter(line => line.inSync === false).length;
+    const untracked = lines.filter(line => line.untracked).length;
+    if (onlyMismatched === 'true') {
+      lines = lines.filter(line => line.inSync === false);
+    }
+
+    const totalProducts = await Product.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lines,
+        summary: {
+          checked: products.length,
+          mismatched,
+          untracked
+        },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalProducts / limit),
+          totalItems: totalProducts,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
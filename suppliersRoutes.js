@@ -0,0 +1,240 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Supplier = require('./supplierModel');
+const PurchaseOrder = require('./purchaseOrderModel');
+const { protect, can } = require('./authController');
+
+const router = express.Router();
+
+// Supplier fields validation; `optional` relaxes it for updates
+const supplierValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('name').trim().isLength({ min: 2, max: 200 }).withMessage('Supplier name must be 2 to 200 characters'),
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('phone').optional().trim().isLength({ max: 30 }).withMessage('Phone cannot exceed 30 characters'),
+    body('leadTimeDays').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Lead time must be a non-negative integer'),
+    body('address').optional().isObject().withMessage('Address must be an object'),
+    body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const SUPPLIER_FIELDS = ['name', 'contactName', 'email', 'phone', 'address', 'leadTimeDays', 'notes', 'isActive'];
+
+// Get all suppliers (purchasing:manage)
+router.get('/', protect, can('purchasing:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, isActive } = req.query;
+
+    let query = {};
+
+    // Search by name
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+
+    // Filter by active status
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    const suppliers = await Supplier.find(query)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Supplier.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        suppliers,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get single supplier with its recent purchase orders (purchasing:manage)
+router.get('/:id', protect, can('purchasing:manage'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const purchaseOrders = await PurchaseOrder.find({ supplier: supplier._id })
+      .select('poNumber status totalCost expectedAt sentAt receivedAt createdAt')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      success: true,
+      data: { supplier, purchaseOrders }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create supplier (purchasing:manage)
+router.post('/', [
+  protect,
+  can('purchasing:manage'),
+  ...supplierValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const existingSupplier = await Supplier.findOne({ name: req.body.name });
+    if (existingSupplier) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier with this name already exists'
+      });
+    }
+
+    const data = {};
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const supplier = await Supplier.create({ ...data, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: { supplier }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update supplier (purchasing:manage)
+router.put('/:id', [
+  protect,
+  can('purchasing:manage'),
+  ...supplierValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    // Check for duplicate name (if provided and different from current)
+    if (req.body.name && req.body.name !== supplier.name) {
+      const existingSupplier = await Supplier.findOne({
+        name: req.body.name,
+        _id: { $ne: req.params.id }
+      });
+      if (existingSupplier) {
+        return res.status(400).json({
+          success: false,
+          message: 'Supplier with this name already exists'
+        });
+      }
+    }
+
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field];
+    });
+    await supplier.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: { supplier }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete supplier (purchasing:manage)
+router.delete('/:id', protect, can('purchasing:manage'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    // Keep suppliers with purchase orders so their history stays intact; deactivate instead
+    if (await PurchaseOrder.exists({ supplier: supplier._id })) {
+      supplier.isActive = false;
+      await supplier.save();
+      return res.status(200).json({
+        success: true,
+        message: 'Supplier has purchase orders and was deactivated instead of deleted',
+        data: { supplier }
+      });
+    }
+
+    await Supplier.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
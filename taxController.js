@@ -0,0 +1,76 @@
+const Category = require('./categoryModel');
+const TaxRate = require('./taxRateModel');
+const Setting = require('./settingModel');
+
+// Round to cents
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Whether catalogue prices already include tax
+exports.pricesIncludeTax = async () => {
+  return Boolean(await Setting.getValue('tax.pricesIncludeTax', false));
+};
+
+// Active rates for a destination keyed by tax class; state rates override country-wide ones.
+// Returns null once tax is set up but not for the destination, e.g. a misspelt state, so a
+// typo cannot make an order tax-free.
+const getRatesFor = async (address) => {
+  const country = String(address.country || '').trim().toUpperCase();
+  const state = String(address.state || '').trim().toUpperCase();
+
+  const rates = await TaxRate.find({
+    country,
+    state: { $in: ['', state] },
+    isActive: true
+  });
+  if (rates.length === 0 && await TaxRate.exists({ isActive: true })) {
+    return null;
+  }
+
+  const byClass = new Map();
+  rates
+    .sort((a, b) => a.state.length - b.state.length)
+    .forEach(rate => byClass.set(rate.taxClass, rate.rate));
+  return byClass;
+};
+
+// Calculate tax for order lines shipped to the given address.
+// `items` are { product, quantity, price } where product is a document with its category.
+// The discount is spread over the lines by value so it reduces each line's taxable amount.
+// Returns { lines: [{ taxClass, taxRate, taxAmount }], taxAmount, pricesIncludeTax }, or { error }
+// when no tax rate covers the destination.
+exports.calculateTax = async ({ items, address, discountAmount = 0 }) => {
+  const categoryIds = [...new Set(items
+    .filter(item => item.product.category)
+    .map(item => (item.product.category._id || item.product.category).toString()))];
+  const categories = await Category.find({ _id: { $in: categoryIds } }).select('taxClass');
+  const classMap = new Map(categories.map(category => [category._id.toString(), category.taxClass]));
+
+  const rates = await getRatesFor(address);
+  if (!rates) {
+    return { error: 'No tax rate covers this address; please check the country and state' };
+  }
+  const inclusive = await exports.pricesIncludeTax();
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const discount = Math.min(discountAmount, subtotal);
+
+  const lines = items.map(item => {
+    const category = item.product.category;
+    const taxClass = (category && classMap.get((category._id || category).toString())) || 'standard';
+    const taxRate = rates.get(taxClass) || 0;
+
+    const lineTotal = item.price * item.quantity;
+    const taxable = subtotal > 0 ? lineTotal - discount * lineTotal / subtotal : 0;
+    const taxAmount = inclusive
+      ? taxable - taxable / (1 + taxRate)
+      : taxable * taxRate;
+
+    return { taxClass, taxRate, taxAmount: roundCurrency(taxAmount) };
+  });
+
+  return {
+    lines,
+    taxAmount: roundCurrency(lines.reduce((sum, line) => sum + line.taxAmount, 0)),
+    pricesIncludeTax: inclusive
+  };
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Tax rate for a destination and tax class.
+// A rate without a state applies to the whole country unless a state rate overrides it.
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rate name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: ''
+  },
+  taxClass: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'standard'
+  },
+  // Fraction of the taxable amount, e.g. 0.08 for 8%
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [1, 'Rate cannot exceed 100%']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ country: 1, state: 1, taxClass: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
\ No newline at end of file
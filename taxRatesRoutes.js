@@ -0,0 +1,201 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TaxRate = require('./taxRateModel');
+const Setting = require('./settingModel');
+const { protect, can } = require('./authController');
+const { pricesIncludeTax } = require('./taxController');
+
+const router = express.Router();
+
+// Get all tax rates and the pricing mode (tax:write)
+router.get('/', protect, can('tax:write'), async (req, res) => {
+  try {
+    const { country, state, taxClass } = req.query;
+
+    let query = {};
+    if (country) query.country = country.toUpperCase();
+    if (state !== undefined) query.state = state.toUpperCase();
+    if (taxClass) query.taxClass = taxClass.toLowerCase();
+
+    const rates = await TaxRate.find(query).sort({ country: 1, state: 1, taxClass: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rates,
+        pricesIncludeTax: await pricesIncludeTax()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Set whether catalogue prices include tax (tax:write)
+router.put('/settings', [
+  protect,
+  can('tax:write'),
+  body('pricesIncludeTax').isBoolean().toBoolean().withMessage('pricesIncludeTax must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    await Setting.setValue('tax.pricesIncludeTax', req.body.pricesIncludeTax, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax settings updated successfully',
+      data: { pricesIncludeTax: req.body.pricesIncludeTax }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Create tax rate (tax:write)
+router.post('/', [
+  protect,
+  can('tax:write'),
+  body('name').trim().notEmpty().withMessage('Tax rate name is required'),
+  body('country').trim().notEmpty().withMessage('Country is required'),
+  body('state').optional().trim(),
+  body('taxClass').optional().trim().matches(/^[a-zA-Z0-9_-]+$/).withMessage('Tax class may only contain letters, numbers, dashes and underscores'),
+  body('rate').isFloat({ min: 0, max: 1 }).withMessage('Rate must be a fraction between 0 and 1'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, country, state = '', taxClass = 'standard', rate, isActive } = req.body;
+
+    const existingRate = await TaxRate.findOne({
+      country: country.toUpperCase(),
+      state: state.toUpperCase(),
+      taxClass: taxClass.toLowerCase()
+    });
+    if (existingRate) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tax rate for this destination and tax class already exists'
+      });
+    }
+
+    const taxRate = await TaxRate.create({
+      name,
+      country,
+      state,
+      taxClass,
+      rate,
+      isActive,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: { taxRate }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update tax rate (tax:write)
+router.put('/:id', [
+  protect,
+  can('tax:write'),
+  body('name').optional().trim().notEmpty().withMessage('Tax rate name cannot be empty'),
+  body('rate').optional().isFloat({ min: 0, max: 1 }).withMessage('Rate must be a fraction between 0 and 1'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { name, rate, isActive } = req.body;
+
+    const taxRate = await TaxRate.findById(req.params.id);
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    if (name !== undefined) taxRate.name = name;
+    if (rate !== undefined) taxRate.rate = rate;
+    if (isActive !== undefined) taxRate.isActive = isActive;
+    await taxRate.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: { taxRate }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete tax rate (tax:write)
+router.delete('/:id', protect, can('tax:write'), async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+
+    if (!taxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,182 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const bcrypt = require('bcryptjs');
+const { memoryModel, stubQuery, startApp } = require('./helpers');
+const User = require('../userModel');
+const LoginAttempt = require('../loginAttemptModel');
+const Setting = require('../settingModel');
+const RefreshToken = require('../refreshTokenModel');
+const totp = require('../totp');
+const authRoutes = require('../authRoutes');
+const { generateToken, generateTwoFactorChallenge, verifyTwoFactorChallenge, generateInviteToken } = require('../authController');
+
+afterEach(() => mock.restoreAll());
+
+// User with two-factor enabled, as loaded with the password and two-factor fields selected
+const twoFactorUser = () => new User({
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  email: 'ada@example.com',
+  password: bcrypt.hashSync('correct horse', 4),
+  role: 'admin',
+  emailVerified: true,
+  twoFactorEnabled: true,
+  twoFactorSecret: totp.generateSecret()
+});
+
+test('verifyTwoFactorChallenge returns the user id of a challenge token', () => {
+  assert.strictEqual(verifyTwoFactorChallenge(generateTwoFactorChallenge('abc')), 'abc');
+});
+
+test('verifyTwoFactorChallenge rejects other and invalid tokens', () => {
+  const invite = generateInviteToken({ _id: 'inv', email: 'a@example.com', role: 'user', expiresAt: new Date(Date.now() + 60000) });
+  assert.strictEqual(verifyTwoFactorChallenge(invite), null);
+  assert.strictEqual(verifyTwoFactorChallenge('not-a-token'), null);
+});
+
+test('a two-factor account logs in with its password and then a TOTP code', async () => {
+  const user = twoFactorUser();
+  stubQuery(User, 'findOne', () => user);
+  stubQuery(User, 'findById', (id) => String(id) === String(user._id) ? user : null);
+  const secondFactor = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  stubQuery(LoginAttempt, 'findOne', () => null);
+  mock.method(LoginAttempt, 'updateOne', async () => ({ modifiedCount: 0 }));
+  mock.method(RefreshToken, 'create', async (doc) => doc);
+
+  const app = await startApp({ '/api/auth': authRoutes });
+  try {
+    const login = await app.request('POST', '/api/auth/login', {
+      body: { email: 'ada@example.com', password: 'correct horse' }
+    });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.body.data.twoFactorRequired, true);
+    assert.strictEqual(login.body.data.token, undefined);
+
+    const completed = await app.request('POST', '/api/auth/login/2fa', {
+      body: { challengeToken: login.body.data.challengeToken, code: totp.generate(user.twoFactorSecret) }
+    });
+    assert.strictEqual(completed.status, 200);
+    assert.ok(completed.body.data.token);
+    assert.ok(completed.body.data.refreshToken);
+    assert.strictEqual(completed.body.data.user.email, 'ada@example.com');
+    assert.strictEqual(secondFactor.mock.callCount() >= 1, true);
+  } finally {
+    await app.close();
+  }
+});
+
+test('a wrong TOTP code does not complete the login', async () => {
+  const user = twoFactorUser();
+  stubQuery(User, 'findById', () => user);
+  mock.method(User, 'findByIdAndUpdate', async () => ({ failedLoginAttempts: 1 }));
+  stubQuery(LoginAttempt, 'findOne', () => null);
+  mock.method(LoginAttempt, 'findOneAndUpdate', async () => ({ _id: 'attempt', failures: 1 }));
+
+  const code = totp.generate(user.twoFactorSecret);
+  const wrongCode = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+  const app = await startApp({ '/api/auth': authRoutes });
+  try {
+    const response = await app.request('POST', '/api/auth/login/2fa', {
+      body: { challengeToken: generateTwoFactorChallenge(user._id), code: wrongCode }
+    });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.body.message, 'Invalid two-factor code');
+  } finally {
+    await app.close();
+  }
+})
+
+test('a successful login clears the account failures but not the IP failures', async () => {
+  const user = new User({
+    firstName: 'Grace',
+    lastName: 'Hopper',
+    email: 'grace@example.com',
+    password: bcrypt.hashSync('correct horse', 4),
+    role: 'user',
+    failedLoginAttempts: 2
+  });
+  stubQuery(User, 'findOne', () => user);
+  const accountReset = mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  stubQuery(LoginAttempt, 'findOne', () => null);
+  const ipUpdate = mock.method(LoginAttempt, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(RefreshToken, 'create', async (doc) => doc);
+
+  const app = await startApp({ '/api/auth': authRoutes });
+  try {
+    const response = await app.request('POST', '/api/auth/login', {
+      body: { email: 'grace@example.com', password: 'correct horse' }
+    });
+    assert.strictEqual(response.status, 200);
+
+    assert.strictEqual(ipUpdate.mock.callCount(), 0);
+
+    assert.strictEqual(accountReset.mock.callCount(), 1);
+    assert.strictEqual(accountReset.mock.calls[0].arguments[1].failedLoginAttempts, 0);
+  } finally {
+    await app.close();
+  }
+});
+
+test('a password reset token can only be used once, even by requests arriving together', async () => {
+  const token = 'reset-token';
+  const users = memoryModel(User, [{
+    firstName: 'Alan',
+    lastName: 'Turing',
+    email: 'alan@example.com',
+    password: 'old secret',
+    passwordResetToken: User.hashToken(token),
+    passwordResetExpires: new Date(Date.now() + 60 * 60 * 1000)
+  }]);
+  mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 0 }));
+  // Hashing the new password takes a while, so both requests look the token up before either saves
+  const save = User.prototype.save;
+  mock.method(User.prototype, 'save', async function(...args) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return save.apply(this, args);
+  });
+
+  const app = await startApp({ '/api/auth': authRoutes });
+  try {
+    const responses = await Promise.all(['first secret', 'second secret'].map(password => {
+      return app.request('POST', '/api/auth/reset-password', { body: { token, password } });
+    }));
+    assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 400]);
+    assert.strictEqual(users[0].passwordResetToken, undefined);
+  } finally {
+    await app.close();
+  }
+});
+
+test('accounts stored before email verification existed count as verified', () => {
+  const existing = User.hydrate({ firstName: 'Old', lastName: 'Account', email: 'old@example.com' });
+  const registered = new User({ firstName: 'New', lastName: 'Account', email: 'new@example.com' });
+
+  assert.strictEqual(existing.emailVerified, true);
+  assert.strictEqual(registered.emailVerified, false);
+  assert.strictEqual(User.hydrate({ email: 'unverified@example.com', emailVerified: false }).emailVerified, false);
+});
+
+test('a token issued in the same second as a logout from all sessions stays valid', async () => {
+  const users = memoryModel(User, [{
+    firstName: 'Edsger',
+    lastName: 'Dijkstra',
+    email: 'edsger@example.com',
+    password: 'secret123'
+  }]);
+  mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 0 }));
+  stubQuery(Setting, 'findOne', () => null);
+
+  const app = await startApp({ '/api/auth': authRoutes });
+  try {
+    const issuedBefore = Math.floor(Date.now() / 1000) - 2;
+    const response = await app.request('POST', '/api/auth/logout-all', { token: generateToken(users[0]._id) });
+    assert.strictEqual(response.status, 200);
+
+    assert.strictEqual(users[0].isTokenRevoked(Math.floor(Date.now() / 1000)), false);
+    assert.strictEqual(users[0].isTokenRevoked(issuedBefore), true);
+  } finally {
+    await app.close();
+  }
+});
\ No newline at end of file
@@ -0,0 +1,203 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+const sift = require('sift').default;
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Tests never connect to MongoDB: model calls they do not stub fail at once instead of buffering
+mongoose.set('bufferCommands', false);
+
+const QUERY_METHODS = ['select', 'populate', 'session', 'sort', 'limit', 'skip', 'lean', 'setOptions'];
+
+// Stand-in for a mongoose query that resolves to `result`
+exports.query = (result) => {
+  const query = {
+    exec: () => Promise.resolve(typeof result === 'function' ? result() : result),
+    then: (resolve, reject) => query.exec().then(resolve, reject),
+    catch: (reject) => query.exec().catch(reject)
+  };
+  QUERY_METHODS.forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// Stub a model static with an implementation whose return value is wrapped as a query
+exports.stubQuery = (model, method, impl) => {
+  return mock.method(model, method, (...args) => exports.query(() => impl(...args)));
+};
+
+// Apply $set, $inc, $unset and $push (or plain field) updates on plain paths to a document.
+// Like mongoose, plain fields left undefined are not updated.
+const applyUpdate = (doc, update) => {
+  Object.entries(update).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    if (key === '$set') {
+      Object.entries(value).forEach(([path, fieldValue]) => doc.set(path, fieldValue));
+    } else if (key === '$inc') {
+      Object.entries(value).forEach(([path, amount]) => doc.set(path, (doc.get(path) || 0) + amount));
+    } else if (key === '$unset') {
+      Object.keys(value).forEach(path => doc.set(path, undefined));
+    } else if (key === '$push') {
+      Object.entries(value).forEach(([path, item]) => doc.get(path).push(item));
+    } else if (!key.startsWith('$')) {
+      doc.set(key, value);
+    }
+  });
+};
+
+// Stand in for a model's collection with documents held in memory. Reads, conditional updates and
+// creates honour Mongo-style filters; reads return copies, so changes only stick once saved.
+// Returns the stored documents.
+exports.memoryModel = (Model, initial = []) => {
+  const docs = initial.map(doc => doc instanceof Model ? doc : new Model(doc));
+  const copy = (doc) => doc && Model.hydrate(doc.toObject({ virtuals: false }));
+  const matching = (filter = {}) => docs.filter(sift(filter));
+
+  const find = (filter) => {
+    let sortSpec;
+    let limit;
+    const query = exports.query(() => {
+      let found = matching(filter);
+      if (sortSpec) {
+        const [[path, direction]] = Object.entries(sortSpec);
+        found = [...found].sort((a, b) => (a.get(path) > b.get(path) ? 1 : a.get(path) < b.get(path) ? -1 : 0) * direction);
+      }
+      return found.slice(0, limit || found.length).map(copy);
+    });
+    query.sort = (spec) => { sortSpec = spec; return query; };
+    query.limit = (count) => { limit = count; return query; };
+    return query;
+  };
+
+  mock.method(Model, 'find', find);
+  mock.method(Model, 'findOne', (filter) => exports.query(() => copy(matching(filter)[0]) || null));
+  mock.method(Model, 'findById', (id) => exports.query(() => copy(matching({ _id: id })[0]) || null));
+  mock.method(Model, 'exists', (filter) => exports.query(() => {
+    const [doc] = matching(filter);
+    return doc ? { _id: doc._id } : null;
+  }));
+  mock.method(Model, 'countDocuments', (filter) => exports.query(() => matching(filter).length));
+  mock.method(Model, 'distinct', (path, filter) => exports.query(() => {
+    const values = matching(filter).map(doc => doc.get(path));
+    return values.filter((value, index) => values.findIndex(other => String(other) === String(value)) === index);
+  }));
+  mock.method(Model, 'create', async (input) => {
+    const created = [];
+    for (const data of [].concat(input)) {
+      const doc = new Model(data);
+      await doc.validate();
+      docs.push(doc);
+      created.push(copy(doc));
+    }
+    return Array.isArray(input) ? created : created[0];
+  });
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => exports.query(() => {
+    const [doc] = matching(filter);
+    if (!doc) {
+      return null;
+    }
+    const before = copy(doc);
+    applyUpdate(doc, update);
+    return options.new ? copy(doc) : before;
+  }));
+  mock.method(Model, 'findByIdAndUpdate', (id, update, options) => Model.findOneAndUpdate({ _id: id }, update, options));
+  mock.method(Model, 'updateOne', (filter, update, options = {}) => exports.query(() => {
+    const [doc] = matching(filter);
+    if (doc) {
+      applyUpdate(doc, update);
+    } else if (options.upsert) {
+      // Insert the filter's equality conditions with the update applied
+      const fields = Object.entries(filter).filter(([path, value]) => {
+        return !path.startsWith('$') && (!value || typeof value !== 'object' || value instanceof mongoose.Types.ObjectId);
+      });
+      const inserted = new Model(Object.fromEntries(fields));
+      applyUpdate(inserted, { ...update.$setOnInsert, ...update });
+      docs.push(inserted);
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  }));
+  mock.method(Model, 'updateMany', (filter, update) => exports.query(() => {
+    const found = matching(filter);
+    found.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: found.length, modifiedCount: found.length };
+  }));
+  mock.method(Model.prototype, 'save', async function() {
+    await this.validate();
+    const index = docs.findIndex(doc => doc._id.equals(this._id));
+    if (index === -1) {
+      docs.push(copy(this));
+    } else {
+      docs[index] = copy(this);
+    }
+    this.isNew = false;
+    return this;
+  });
+
+  return docs;
+};
+
+// Transaction session that records whether it was committed or aborted
+exports.fakeSession = () => {
+  const session = {
+    active: false,
+    committed: false,
+    aborted: false,
+    startTransaction: () => { session.active = true; },
+    commitTransaction: async () => { session.active = false; session.committed = true; },
+    abortTransaction: async () => { session.active = false; session.aborted = true; },
+    inTransaction: () => session.active,
+    endSession: async () => {}
+  };
+  return session;
+};
+
+// Make mongoose.startSession hand out fake sessions; returns the sessions started
+exports.stubSessions = () => {
+  const sessions = [];
+  mock.method(mongoose, 'startSession', async () => {
+    const session = exports.fakeSession();
+    sessions.push(session);
+    return session;
+  });
+  return sessions;
+};
+
+// Serve routers on a random port. `request` returns { status, body, headers }.
+exports.startApp = async (mounts) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(mounts).forEach(([path, router]) => app.use(path, router));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    request: async (method, path, { body, token } = {}) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      const response = await fetch(baseUrl + path, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      return {
+        status: response.status,
+        body: text && /json/.test(response.headers.get('content-type')) ? JSON.parse(text) : text || null,
+        headers: response.headers
+      };
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
\ No newline at end of file
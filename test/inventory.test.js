@@ -0,0 +1,154 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, query } = require('./helpers');
+const Product = require('../productModel');
+const Reservation = require('../reservationModel');
+const StockLot = require('../stockLotModel');
+const StockMovement = require('../stockMovementModel');
+const { addStockLot, holdForCart, receiveStock, restoreStock, syncLotStock } = require('../inventoryController');
+
+const DAY = 24 * 60 * 60 * 1000;
+const actor = new mongoose.Types.ObjectId();
+
+let products;
+let lots;
+let movements;
+
+const stockProduct = (fields) => {
+  const product = new Product({
+    name: 'Apples',
+    description: 'Crisp apples',
+    price: 3,
+    category: new mongoose.Types.ObjectId(),
+    unit: 'kg',
+    stock: 10,
+    expiryDate: new Date(Date.now() + 10 * DAY),
+    createdBy: actor,
+    ...fields
+  });
+  products.push(product);
+  return product;
+};
+
+const movementSummary = () => movements.map(movement => [movement.type, movement.quantity]);
+
+beforeEach(() => {
+  products = memoryModel(Product);
+  lots = memoryModel(StockLot);
+  movements = memoryModel(StockMovement);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('the first lot keeps the stock already on hand as an opening lot', async () => {
+  const product = stockProduct();
+
+  await addStockLot({
+    product: product._id,
+    lotNumber: 'L1',
+    quantity: 5,
+    expiresAt: new Date(Date.now() + 20 * DAY)
+  }, { actor, note: 'Received lot L1' });
+
+  assert.strictEqual(products[0].stock, 15);
+  assert.deepStrictEqual(lots.map(lot => [lot.lotNumber, lot.quantity]), [['OPENING', 10], ['L1', 5]]);
+  assert.deepStrictEqual(lots[0].expiresAt, product.expiryDate);
+  assert.deepStrictEqual(movementSummary(), [['opening_balance', 10], ['receipt', 5]]);
+});
+
+test('receiving with a lot number into untracked stock adds to it', async () => {
+  const product = stockProduct();
+
+  const lot = await receiveStock({ product: product._id, quantity: 4, lotNumber: 'PO-LOT' }, { actor }, null);
+
+  assert.strictEqual(lot.lotNumber, 'PO-LOT');
+  assert.strictEqual(products[0].stock, 14);
+  assert.deepStrictEqual(movementSummary(), [['opening_balance', 10], ['receipt', 4]]);
+});
+
+test('opening stock already past its expiry date is written off, not received', async () => {
+  const product = stockProduct({ expiryDate: new Date(Date.now() - DAY) });
+
+  await addStockLot({ product: product._id, lotNumber: 'L1', quantity: 5 }, { actor });
+
+  assert.strictEqual(products[0].stock, 5);
+  assert.deepStrictEqual(movementSummary(), [['opening_balance', 10], ['write_off', -10], ['receipt', 5]]);
+});
+
+test('products without stock start tracking lots without an opening lot', async () => {
+  const product = stockProduct({ stock: 0 });
+
+  await addStockLot({ product: product._id, lotNumber: 'L1', quantity: 5 }, { actor });
+
+  assert.deepStrictEqual(lots.map(lot => lot.lotNumber), ['L1']);
+  assert.strictEqual(products[0].stock, 5);
+});
+
+test('a stock drop found while syncing a receipt is logged as an adjustment', async () => {
+  const product = stockProduct({ stock: 8 });
+  await StockLot.create({ product: product._id, lotNumber: 'L1', quantity: 3 });
+
+  await syncLotStock(product._id, null, null, { type: 'receipt', actor });
+
+  assert.strictEqual(products[0].stock, 3);
+  assert.deepStrictEqual(movementSummary(), [['opening_balance', 8], ['adjustment', -5]]);
+});
+
+test('concurrent cart holds on one line reserve only what the hold ends up with', async () => {
+  const product = stockProduct();
+  const user = new mongoose.Types.ObjectId();
+  const holds = memoryModel(Reservation);
+  // The unique index on user, product and variant
+  mock.method(Reservation, 'create', async (data) => {
+    const hold = new Reservation(data);
+    await hold.validate();
+    if (holds.some(other => other.user.equals(hold.user) && other.product.equals(hold.product))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    holds.push(hold);
+    return hold;
+  });
+  // Reserved counter without the availability expression the in-memory store cannot evaluate
+  mock.method(Product, 'findOneAndUpdate', (filter, update) => query(() => {
+    const stored = products[0];
+    const change = update.$inc.reserved;
+    if (filter.$expr && stored.stock - stored.reserved < change) {
+      return null;
+    }
+    stored.reserved += change;
+    return stored;
+  }));
+
+  const results = await Promise.all([
+    holdForCart(user, product._id, 2),
+    holdForCart(user, product._id, 3)
+  ]);
+
+  assert.ok(results.every(result => result.success));
+  assert.strictEqual(holds.length, 1);
+  assert.strictEqual(products[0].reserved, holds[0].quantity);
+});
+
+test('a line sold before its product tracked lots goes back into the opening lot', async () => {
+  const product = stockProduct({ stock: 6 });
+  await addStockLot({ product: product._id, lotNumber: 'L1', quantity: 5 }, { actor });
+
+  // The order took 4 of the then untracked stock
+  await restoreStock([{ product: product._id, quantity: 4 }], null);
+
+  assert.deepStrictEqual(lots.map(lot => [lot.lotNumber, lot.quantity]), [['OPENING', 10], ['L1', 5]]);
+  assert.strictEqual(products[0].stock, 15);
+  assert.deepStrictEqual(movementSummary().slice(-1), [['cancellation', 4]]);
+});
+
+test('a product that had no stock when it started tracking lots gets an opening lot back', async () => {
+  const product = stockProduct({ stock: 0 });
+  await addStockLot({ product: product._id, lotNumber: 'L1', quantity: 5 }, { actor });
+
+  await restoreStock([{ product: product._id, quantity: 2 }], null);
+
+  assert.deepStrictEqual(lots.map(lot => [lot.lotNumber, lot.quantity]), [['L1', 5], ['OPENING', 2]]);
+  assert.strictEqual(products[0].stock, 7);
+})
\ No newline at end of file
@@ -0,0 +1,55 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, stubQuery, startApp } = require('./helpers');
+const User = require('../userModel');
+const Setting = require('../settingModel');
+const Product = require('../productModel');
+const StockMovement = require('../stockMovementModel');
+const inventoryRoutes = require('../inventoryRoutes');
+const { generateToken } = require('../authController');
+
+const picker = new User({
+  firstName: 'Pat',
+  lastName: 'Picker',
+  email: 'picker@example.com',
+  password: 'secret123',
+  role: 'warehouse_picker',
+  isActive: true
+});
+
+let app;
+
+beforeEach(async () => {
+  stubQuery(User, 'findById', () => picker);
+  stubQuery(Setting, 'findOne', () => null);
+  memoryModel(Product, [{
+    name: '=HYPERLINK("http://example.com","Oats")',
+    description: 'Rolled oats',
+    price: 3,
+    category: new mongoose.Types.ObjectId(),
+    unit: 'pack',
+    sku: '@OATS',
+    stock: 2,
+    reorderPoint: 5,
+    createdBy: picker._id
+  }]);
+  mock.method(StockMovement, 'aggregate', async () => []);
+  app = await startApp({ '/api/inventory': inventoryRoutes });
+});
+
+afterEach(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+test('the low-stock CSV shows formula-like text as text', async () => {
+  const response = await app.request('GET', '/api/inventory/low-stock?format=csv', {
+    token: generateToken(picker._id)
+  });
+
+  assert.strictEqual(response.status, 200);
+  const [, row] = response.body.split('\n');
+  assert.ok(row.startsWith(`"'=HYPERLINK(""http://example.com"",""Oats"")",,'@OATS,2,`), row);
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, stubQuery, startApp } = require('./helpers');
+const User = require('../userModel');
+const Setting = require('../settingModel');
+const Product = require('../productModel');
+const StockLot = require('../stockLotModel');
+const MarkdownRule = require('../markdownRuleModel');
+const { planMarkdowns, applyMarkdowns } = require('../markdownController');
+const productsRoutes = require('../productsRoutes');
+const { generateToken } = require('../authController');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let products;
+
+const expiredProduct = (name) => {
+  const product = new Product({
+    name,
+    description: name,
+    price: 4,
+    category: new mongoose.Types.ObjectId(),
+    unit: 'piece',
+    stock: 6,
+    expiryDate: new Date(Date.now() - DAY),
+    createdBy: new mongoose.Types.ObjectId()
+  });
+  products.push(product);
+  return product;
+};
+
+beforeEach(() => {
+  products = memoryModel(Product);
+  memoryModel(StockLot);
+  stubQuery(MarkdownRule, 'find', () => []);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('expired products are taken off sale', async () => {
+  expiredProduct('Milk');
+
+  const changes = await planMarkdowns();
+  assert.deepStrictEqual(changes.map(change => [change.name, change.action]), [['Milk', 'deactivate']]);
+});
+
+test('lot-tracked products are left to the lot sweeper when their first lot expires', async () => {
+  const yoghurt = expiredProduct('Yoghurt');
+  await StockLot.create([
+    { product: yoghurt._id, lotNumber: 'OLD', quantity: 2, expiresAt: new Date(Date.now() - DAY) },
+    { product: yoghurt._id, lotNumber: 'NEW', quantity: 4, expiresAt: new Date(Date.now() + 5 * DAY) }
+  ]);
+
+  assert.deepStrictEqual(await planMarkdowns(), []);
+});
+
+const prices = () => [
+  products[0].price,
+  products[0].variants.map(variant => [variant.price, variant.comparePrice])
+];
+
+// A product with a variant, half price under a markdown rule, and a catalog editor's app
+const markedDownProduct = async () => {
+  const category = new mongoose.Types.ObjectId();
+  const editor = new User({
+    firstName: 'Cat',
+    lastName: 'Editor',
+    email: 'editor@example.com',
+    password: 'secret123',
+    role: 'catalog_editor',
+    isActive: true
+  });
+  const product = new Product({
+    name: 'Cheese',
+    description: 'Soft cheese',
+    price: 4,
+    category,
+    unit: 'piece',
+    stock: 6,
+    expiryDate: new Date(Date.now() + DAY),
+    variants: [{ name: '250g', price: 4, unit: 'piece', stock: 6 }],
+    createdBy: editor._id
+  });
+  products.push(product);
+  memoryModel(MarkdownRule, [{ category, tiers: [{ daysBeforeExpiry: 2, percentOff: 50 }] }]);
+  stubQuery(User, 'findById', () => editor);
+  stubQuery(Setting, 'findOne', () => null);
+
+  await applyMarkdowns();
+  assert.deepStrictEqual(prices(), [2, [[2, 4]]]);
+
+  const app = await startApp({ '/api/products': productsRoutes });
+  return { product, app, token: generateToken(editor._id) };
+};
+
+test('a product price set by hand during a markdown puts variant prices back first', async () => {
+  const { product, app, token } = await markedDownProduct();
+  try {
+    const response = await app.request('PUT', `/api/products/${product._id}`, { token, body: { price: 3 } });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(products[0].markdown.appliedAt, undefined);
+    assert.deepStrictEqual(prices(), [3, [[4, undefined]]]);
+
+    // The next run marks down from the regular prices instead of compounding the old discount
+    await applyMarkdowns();
+    assert.deepStrictEqual(prices(), [1.5, [[2, 4]]]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('a variant price set by hand during a markdown survives the revert', async () => {
+  const { product, app, token } = await markedDownProduct();
+  try {
+    const variantId = product.variants[0]._id;
+    const response = await app.request('PUT', `/api/products/${product._id}/variants/${variantId}`, { token, body: { price: 5 } });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(prices(), [2, [[5, undefined]]]);
+
+    // Fresher stock moves the expiry out of the markdown window
+    products[0].expiryDate = new Date(Date.now() + 30 * DAY);
+    await applyMarkdowns();
+    assert.deepStrictEqual(prices(), [4, [[5, undefined]]]);
+  } finally {
+    await app.close();
+  }
+});
\ No newline at end of file
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+require('./helpers');
+
+const root = path.join(__dirname, '..');
+
+// Routers and controllers load with all their models and imports resolved
+fs.readdirSync(root)
+  .filter(file => /(Routes|Controller)\.js$/.test(file))
+  .forEach(file => {
+    test(`${file} loads`, () => {
+      const loaded = require(path.join(root, file));
+      assert.ok(loaded);
+    });
+  });
\ No newline at end of file
@@ -0,0 +1,74 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, fakeSession } = require('./helpers');
+const Product = require('../productModel');
+const StockMovement = require('../stockMovementModel');
+const Notification = require('../notificationModel');
+const { events, sendNotifications } = require('../notificationController');
+const { logStockMovement } = require('../inventoryController');
+
+let products;
+let notifications;
+let announced;
+
+beforeEach(() => {
+  products = memoryModel(Product, [{
+    name: 'Milk',
+    description: 'Whole milk',
+    price: 1,
+    category: new mongoose.Types.ObjectId(),
+    unit: 'l',
+    stock: 10,
+    reorderPoint: 5,
+    createdBy: new mongoose.Types.ObjectId()
+  }]);
+  memoryModel(StockMovement);
+  notifications = memoryModel(Notification);
+  announced = [];
+  events.on('notification', onNotification);
+});
+
+afterEach(() => {
+  events.off('notification', onNotification);
+  mock.restoreAll();
+});
+
+function onNotification(notification) {
+  announced.push(notification);
+}
+
+test('stock falling through its reorder point raises a low-stock notification', async () => {
+  await logStockMovement(products[0]._id, null, 10, 4, { type: 'sale' });
+
+  assert.deepStrictEqual(notifications.map(notification => notification.type), ['low_stock']);
+  assert.strictEqual(announced.length, 1);
+});
+
+test('a low-stock notification collected inside a transaction is only sent when asked', async () => {
+  const session = fakeSession();
+  session.startTransaction();
+  const pending = [];
+
+  await logStockMovement(products[0]._id, null, 10, 4, { type: 'sale', notifications: pending }, session);
+  await session.commitTransaction();
+  assert.strictEqual(pending.length, 1);
+  assert.strictEqual(notifications.length, 0);
+  assert.strictEqual(announced.length, 0);
+
+  await sendNotifications(pending);
+  assert.strictEqual(notifications.length, 1);
+  assert.strictEqual(announced.length, 1);
+});
+
+test('a notification that fails to send is logged rather than thrown', async () => {
+  mock.method(Notification, 'create', async () => {
+    throw new Error('write failed');
+  });
+  const logged = mock.method(console, 'error', () => {});
+
+  await sendNotifications([{ type: 'low_stock' }]);
+  assert.strictEqual(logged.mock.callCount(), 1);
+  assert.strictEqual(announced.length, 0);
+});
\ No newline at end of file
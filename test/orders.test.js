@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, stubQuery, stubSessions, startApp } = require('./helpers');
+const User = require('../userModel');
+const Setting = require('../settingModel');
+const Order = require('../orderModel');
+const Product = require('../productModel');
+const StockLot = require('../stockLotModel');
+const StockMovement = require('../stockMovementModel');
+const CouponRedemption = require('../couponRedemptionModel');
+const PaymentTransaction = require('../paymentTransactionModel');
+const { getProvider } = require('../paymentGateway');
+const ordersRoutes = require('../ordersRoutes');
+const { generateToken } = require('../authController');
+
+const customer = new User({
+  firstName: 'Cal',
+  lastName: 'Customer',
+  email: 'customer@example.com',
+  password: 'secret123',
+  isActive: true
+});
+
+let app;
+let orders;
+let products;
+let transactions;
+let refunds;
+
+beforeEach(async () => {
+  stubSessions();
+  stubQuery(User, 'findById', () => customer);
+  stubQuery(Setting, 'findOne', () => null);
+  products = memoryModel(Product, [{
+    name: 'Tea',
+    description: 'Black tea',
+    price: 5,
+    category: new mongoose.Types.ObjectId(),
+    unit: 'pack',
+    stock: 2,
+    createdBy: customer._id
+  }]);
+  memoryModel(StockLot);
+  memoryModel(StockMovement);
+  orders = memoryModel(Order, [{
+    orderNumber: 'ORD-1',
+    customer: customer._id,
+    items: [{ product: products[0]._id, name: 'Tea', price: 5, quantity: 4 }],
+    status: 'pending',
+    paymentStatus: 'paid',
+    paymentProvider: 'mock',
+    paymentIntentId: 'mock_pi_1',
+    totalAmount: 20,
+    amountDue: 20
+  }]);
+  stubQuery(CouponRedemption, 'findOneAndDelete', () => null);
+  stubQuery(PaymentTransaction, 'aggregate', () => []);
+  transactions = mock.method(PaymentTransaction, 'create', async (doc) => doc);
+  refunds = mock.method(getProvider('mock'), 'refund', async () => ({ id: 'mock_re_1', status: 'succeeded' }));
+  mock.method(Order.prototype, 'populate', async function() {
+    return this;
+  });
+  app = await startApp({ '/api/orders': ordersRoutes });
+});
+
+afterEach(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+const cancel = () => app.request('PATCH', `/api/orders/${orders[0]._id}/cancel`, {
+  token: generateToken(customer._id),
+  body: { reason: 'Changed my mind' }
+});
+
+test('cancelling a paid order refunds the payment', async () => {
+  const response = await cancel();
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(refunds.mock.calls[0].arguments, ['mock_pi_1', 20]);
+  assert.strictEqual(orders[0].status, 'cancelled');
+  assert.strictEqual(orders[0].paymentStatus, 'refunded');
+  assert.strictEqual(orders[0].refundedAmount, 20);
+  assert.strictEqual(response.body.data.order.paymentStatus, 'refunded');
+  assert.strictEqual(products[0].stock, 6);
+});
+
+test('a declined refund on cancel is left for staff to refund by hand', async () => {
+  refunds.mock.mockImplementation(async () => ({ id: 'mock_re_2', status: 'failed' }));
+
+  const response = await cancel();
+
+  assert.strictEqual(response.status, 200);
+  assert.match(response.body.message, /could not be refunded/);
+  assert.strictEqual(orders[0].status, 'cancelled');
+  assert.strictEqual(orders[0].paymentStatus, 'paid');
+  const [refund] = transactions.mock.calls.map(call => call.arguments[0]);
+  assert.strictEqual(refund.status, 'failed');
+  assert.match(refund.note, /refund manually/);
+});
+
+test('cancelling an unpaid order refunds nothing', async () => {
+  orders[0].paymentStatus = 'pending';
+
+  const response = await cancel();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(refunds.mock.callCount(), 0);
+  assert.strictEqual(orders[0].paymentStatus, 'pending');
+})
\ No newline at end of file
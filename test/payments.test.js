@@ -0,0 +1,165 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { stubQuery, stubSessions, startApp } = require('./helpers');
+const User = require('../userModel');
+const Setting = require('../settingModel');
+const Order = require('../orderModel');
+const PaymentTransaction = require('../paymentTransactionModel');
+const { getProvider, defaultProviderName } = require('../paymentGateway');
+const { applyWebhookEvent, capturePayment } = require('../paymentController');
+const paymentsRoutes = require('../paymentsRoutes');
+const { generateToken } = require('../authController');
+
+let transactions;
+let orderUpdates;
+let refunds;
+let stored;
+
+beforeEach(() => {
+  stubSessions();
+  transactions = mock.method(PaymentTransaction, 'create', async (docs) => docs);
+  // Order updates that the stored order's status would let through
+  orderUpdates = [];
+  mock.method(Order, 'updateOne', async (filter, update) => {
+    if (filter.status && filter.status.$ne === stored.status) {
+      return { modifiedCount: 0 };
+    }
+    orderUpdates.push(update);
+    return { modifiedCount: 1 };
+  });
+  refunds = mock.method(getProvider('mock'), 'refund', async () => ({ id: 'mock_re_1', status: 'succeeded' }));
+});
+
+afterEach(() => mock.restoreAll());
+
+const orderWith = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  customer: new mongoose.Types.ObjectId(),
+  paymentProvider: 'mock',
+  paymentIntentId: 'mock_pi_1',
+  paymentStatus: 'pending',
+  totalAmount: 40,
+  ...fields
+});
+
+const storeOrder = (fields) => {
+  stored = orderWith(fields);
+  stubQuery(Order, 'findOne', () => stored);
+  return stored;
+};
+
+const paymentSucceeded = { id: 'evt_1', type: 'payment_succeeded', intentId: 'mock_pi_1', amount: 40 };
+
+test('a payment for a pending order marks it paid', async () => {
+  storeOrder({ status: 'pending' });
+
+  const result = await applyWebhookEvent('mock', paymentSucceeded);
+  assert.strictEqual(result.applied, true);
+  assert.strictEqual(result.refunded, undefined);
+  assert.deepStrictEqual(orderUpdates.map(update => update.paymentStatus), ['paid']);
+  assert.strictEqual(refunds.mock.callCount(), 0);
+});
+
+test('a payment arriving after the order was cancelled is refunded, not marked paid', async () => {
+  storeOrder({ status: 'cancelled' });
+
+  const result = await applyWebhookEvent('mock', paymentSucceeded);
+  assert.strictEqual(result.refunded, true);
+  assert.deepStrictEqual(refunds.mock.calls[0].arguments, ['mock_pi_1', 40]);
+
+  const refund = transactions.mock.calls
+    .map(call => [].concat(call.arguments[0])[0])
+    .find(doc => doc.type === 'refund');
+  assert.strictEqual(refund.status, 'succeeded');
+  assert.strictEqual(refund.amount, 40);
+
+  assert.deepStrictEqual(orderUpdates.map(update => update.paymentStatus).filter(Boolean), ['refunded']);
+});
+
+test('a declined late refund is left in the ledger as failed for a manual refund', async () => {
+  refunds.mock.mockImplementation(async () => ({ id: 'mock_re_2', status: 'failed' }));
+  storeOrder({ status: 'cancelled' });
+
+  const result = await applyWebhookEvent('mock', paymentSucceeded);
+  assert.strictEqual(result.refunded, false);
+
+  const refund = transactions.mock.calls
+    .map(call => [].concat(call.arguments[0])[0])
+    .find(doc => doc.type === 'refund');
+  assert.strictEqual(refund.status, 'failed');
+  assert.match(refund.note, /refund manually/);
+  assert.deepStrictEqual(orderUpdates.filter(update => update.paymentStatus), []);
+});
+
+test('cancelled orders cannot be captured', async () => {
+  const result = await capturePayment(storeOrder({ status: 'cancelled' }), null);
+  assert.strictEqual(result.error, 'Cancelled orders cannot be captured');
+  assert.strictEqual(transactions.mock.callCount(), 0);
+});
+
+test('a payment short of the amount due is recorded without marking the order paid', async () => {
+  storeOrder({ status: 'pending', amountDue: 40 });
+
+  const result = await applyWebhookEvent('mock', { ...paymentSucceeded, amount: 0.01 });
+  assert.strictEqual(result.underpaid, true);
+  assert.deepStrictEqual(orderUpdates.filter(update => update.paymentStatus), []);
+
+  const [payment] = [].concat(transactions.mock.calls[0].arguments[0]);
+  assert.strictEqual(payment.amount, 0.01);
+  assert.match(payment.note, /0.01 of 40/);
+});
+
+test('the mock gateway is not registered in production', () => {
+  const gatewayPath = require.resolve('../paymentGateway');
+  const environment = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  delete require.cache[gatewayPath];
+  try {
+    const gateway = require('../paymentGateway');
+    assert.strictEqual(gateway.getProvider('mock'), null);
+    assert.strictEqual(gateway.defaultProviderName(), process.env.PAYMENT_PROVIDER || null);
+  } finally {
+    process.env.NODE_ENV = environment;
+    delete require.cache[gatewayPath];
+  }
+  assert.strictEqual(defaultProviderName(), 'mock');
+});
+
+test('mock webhooks are refused while no webhook secret is set', () => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  try {
+    assert.throws(() => getProvider('mock').verifyWebhook(Buffer.from('{}'), { 'x-mock-signature': 'x' }), /MOCK_PAYMENT_WEBHOOK_SECRET/);
+  } finally {
+    if (secret !== undefined) {
+      process.env.MOCK_PAYMENT_WEBHOOK_SECRET = secret;
+    }
+  }
+});
+
+test('customers can only pay through a configured provider', async () => {
+  const customer = new User({
+    firstName: 'Cal',
+    lastName: 'Customer',
+    email: 'customer@example.com',
+    password: 'secret123',
+    isActive: true
+  });
+  stubQuery(User, 'findById', () => customer);
+  stubQuery(Setting, 'findOne', () => null);
+  storeOrder({ status: 'pending', customer: customer._id });
+
+  const app = await startApp({ '/api/payments': paymentsRoutes });
+  try {
+    const response = await app.request('POST', `/api/payments/orders/${stored._id}/intent`, {
+      token: generateToken(customer._id),
+      body: { provider: 'toString' }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.errors[0].msg, 'Unknown payment provider');
+  } finally {
+    await app.close();
+  }
+})
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, stubQuery, startApp, query } = require('./helpers');
+const User = require('../userModel');
+const Setting = require('../settingModel');
+const Product = require('../productModel');
+const StockLot = require('../stockLotModel');
+const StockMovement = require('../stockMovementModel');
+const MarkdownRule = require('../markdownRuleModel');
+const productsRoutes = require('../productsRoutes');
+const { generateToken } = require('../authController');
+
+const picker = new User({
+  firstName: 'Pat',
+  lastName: 'Picker',
+  email: 'picker@example.com',
+  password: 'secret123',
+  role: 'warehouse_picker',
+  isActive: true
+});
+
+let app;
+let products;
+let movements;
+let lots;
+
+beforeEach(async () => {
+  stubQuery(User, 'findById', () => picker);
+  stubQuery(Setting, 'findOne', () => null);
+  products = memoryModel(Product, [{
+    name: 'Oats',
+    description: 'Rolled oats',
+    price: 3,
+    category: new mongoose.Types.ObjectId(),
+    unit: 'pack',
+    stock: 10,
+    createdBy: picker._id
+  }]);
+  lots = memoryModel(StockLot);
+  memoryModel(MarkdownRule);
+  movements = memoryModel(StockMovement);
+  app = await startApp({ '/api/products': productsRoutes });
+});
+
+afterEach(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+const changeStock = (body) => app.request('PATCH', `/api/products/${products[0]._id}/stock`, {
+  token: generateToken(picker._id),
+  body
+});
+
+// Take `quantity` off the stored stock right after the route first reads the product
+const sellAfterFirstRead = (quantity) => {
+  const findById = Product.findById;
+  let reads = 0;
+  mock.method(Product, 'findById', (...args) => query(async () => {
+    const found = await findById(...args);
+    if (++reads === 1) {
+      products[0].stock -= quantity;
+    }
+    return found;
+  }));
+};
+
+test('adding stock keeps a sale made since the stock was read', async () => {
+  sellAfterFirstRead(3);
+
+  const response = await changeStock({ stock: 5, operation: 'add' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(products[0].stock, 12);
+  assert.strictEqual(response.body.data.newStock, 12);
+  assert.deepStrictEqual(movements.map(movement => [movement.type, movement.stockBefore, movement.stockAfter]), [
+    ['opening_balance', 0, 7],
+    ['adjustment', 7, 12]
+  ]);
+});
+
+test('subtracting stock keeps a sale made since the stock was read', async () => {
+  sellAfterFirstRead(3);
+
+  const response = await changeStock({ stock: 2, operation: 'subtract', movementType: 'write_off' });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(products[0].stock, 5);
+});
+
+test('subtracting more than is in stock is refused', async () => {
+  const response = await changeStock({ stock: 11, operation: 'subtract' });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(products[0].stock, 10);
+  assert.strictEqual(movements.length, 0);
+});
+
+test('setting stock replaces it', async () => {
+  const response = await changeStock({ stock: 4 });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(products[0].stock, 4);
+});
+
+test('lot stock changes keep an allocation made since the lot was read', async () => {
+  await StockLot.create({ product: products[0]._id, lotNumber: 'OATS-1', quantity: 10 });
+  // An order takes 2 from the lot right after the route reads it
+  const findOne = StockLot.findOne;
+  mock.method(StockLot, 'findOne', (...args) => query(async () => {
+    const found = await findOne(...args);
+    lots[0].quantity -= 2;
+    return found;
+  }));
+
+  const added = await changeStock({ stock: 4, operation: 'add', lotId: lots[0]._id });
+  assert.strictEqual(added.status, 200);
+  assert.strictEqual(lots[0].quantity, 12);
+  assert.strictEqual(products[0].stock, 12);
+  assert.deepStrictEqual([added.body.data.previousQuantity, added.body.data.newQuantity], [8, 12]);
+
+  const subtracted = await changeStock({ stock: 11, operation: 'subtract', lotId: lots[0]._id });
+  assert.strictEqual(subtracted.status, 400);
+  assert.strictEqual(lots[0].quantity, 10);
+
+  const set = await changeStock({ stock: 3, lotId: lots[0]._id });
+  assert.strictEqual(set.status, 409);
+  assert.strictEqual(lots[0].quantity, 8);
+})
\ No newline at end of file
@@ -0,0 +1,111 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { stubQuery, fakeSession } = require('./helpers');
+const Coupon = require('../couponModel');
+const CouponRedemption = require('../couponRedemptionModel');
+const CouponUsage = require('../couponUsageModel');
+const { redeemCoupon, releaseCouponRedemption } = require('../promotionsController');
+
+afterEach(() => mock.restoreAll());
+
+// In-memory coupon usage counters that honour the conditional increment
+const stubUsageStore = () => {
+  const counters = new Map();
+  const key = (filter) => `${filter.coupon}:${filter.customer}`;
+  stubQuery(CouponUsage, 'exists', (filter) => counters.has(key(filter)) ? { _id: key(filter) } : null);
+  mock.method(CouponUsage, 'create', async ([doc]) => {
+    if (counters.has(key(doc))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    counters.set(key(doc), doc.count);
+    return [doc];
+  });
+  mock.method(CouponUsage, 'findOneAndUpdate', async (filter, update) => {
+    const count = counters.get(key(filter));
+    if (count === undefined || (filter.count && count >= filter.count.$lt)) {
+      return null;
+    }
+    counters.set(key(filter), count + update.$inc.count);
+    return { count: count + update.$inc.count };
+  });
+  mock.method(CouponUsage, 'updateOne', async (filter, update) => {
+    const count = counters.get(key(filter));
+    if (count > 0) {
+      counters.set(key(filter), count + update.$inc.count);
+    }
+    return { modifiedCount: count > 0 ? 1 : 0 };
+  });
+  return counters;
+};
+
+test('concurrent checkouts cannot exceed the per-customer coupon limit', async () => {
+  const coupon = new Coupon({ code: 'ONCE', type: 'percentage', value: 10, usageLimitPerCustomer: 1 });
+  const customerId = new mongoose.Types.ObjectId();
+  mock.method(Coupon, 'findOneAndUpdate', async () => coupon);
+  stubQuery(CouponRedemption, 'countDocuments', () => 0);
+  const created = mock.method(CouponRedemption, 'create', async (docs) => docs);
+  stubUsageStore().set(`${coupon._id}:${customerId}`, 0);
+
+  const results = await Promise.all([1, 2].map(() => redeemCoupon(coupon, {
+    customerId,
+    orderId: new mongoose.Types.ObjectId(),
+    discountAmount: 5
+  }, fakeSession())));
+
+  assert.deepStrictEqual(results.sort(), [false, true]);
+  assert.strictEqual(created.mock.callCount(), 1);
+});
+
+test('concurrent first uses of a coupon redeem it at most once', async () => {
+  const coupon = new Coupon({ code: 'ONCE', type: 'percentage', value: 10, usageLimitPerCustomer: 1 });
+  const customerId = new mongoose.Types.ObjectId();
+  mock.method(Coupon, 'findOneAndUpdate', async () => coupon);
+  stubQuery(CouponRedemption, 'countDocuments', () => 0);
+  const created = mock.method(CouponRedemption, 'create', async (docs) => docs);
+  stubUsageStore();
+
+  // The losing transaction fails on the counter's unique index
+  const results = await Promise.allSettled([1, 2].map(() => redeemCoupon(coupon, {
+    customerId,
+    orderId: new mongoose.Types.ObjectId(),
+    discountAmount: 5
+  }, fakeSession())));
+
+  assert.strictEqual(results.filter(result => result.value === true).length, 1);
+  assert.strictEqual(created.mock.callCount(), 1);
+});
+
+test('the per-customer counter starts from redemptions recorded before it existed', async () => {
+  const coupon = new Coupon({ code: 'TWICE', type: 'percentage', value: 10, usageLimitPerCustomer: 2 });
+  const customerId = new mongoose.Types.ObjectId();
+  mock.method(Coupon, 'findOneAndUpdate', async () => coupon);
+  stubQuery(CouponRedemption, 'countDocuments', () => 2);
+  mock.method(CouponRedemption, 'create', async (docs) => docs);
+  stubUsageStore();
+
+  const redeemed = await redeemCoupon(coupon, {
+    customerId,
+    orderId: new mongoose.Types.ObjectId(),
+    discountAmount: 5
+  }, fakeSession());
+  assert.strictEqual(redeemed, false);
+});
+
+test('cancelling an order gives the customer their coupon use back', async () => {
+  const coupon = new Coupon({ code: 'ONCE', type: 'percentage', value: 10, usageLimitPerCustomer: 1 });
+  const customerId = new mongoose.Types.ObjectId();
+  const orderId = new mongoose.Types.ObjectId();
+  mock.method(Coupon, 'findOneAndUpdate', async () => coupon);
+  mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+  stubQuery(CouponRedemption, 'countDocuments', () => 0);
+  mock.method(CouponRedemption, 'create', async (docs) => docs);
+  mock.method(CouponRedemption, 'findOneAndDelete', async () => ({ coupon: coupon._id, customer: customerId, order: orderId }));
+  const counters = stubUsageStore();
+
+  assert.strictEqual(await redeemCoupon(coupon, { customerId, orderId, discountAmount: 5 }, fakeSession()), true);
+  await releaseCouponRedemption(orderId, fakeSession());
+  assert.strictEqual(counters.get(`${coupon._id}:${customerId}`), 0);
+  assert.strictEqual(await redeemCoupon(coupon, { customerId, orderId, discountAmount: 5 }, fakeSession()), true);
+})
\ No newline at end of file
@@ -0,0 +1,150 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, stubQuery, stubSessions, startApp, query } = require('./helpers');
+const User = require('../userModel');
+const Setting = require('../settingModel');
+const Product = require('../productModel');
+const PurchaseOrder = require('../purchaseOrderModel');
+const StockLot = require('../stockLotModel');
+const StockMovement = require('../stockMovementModel');
+const purchaseOrdersRoutes = require('../purchaseOrdersRoutes');
+const inventoryRoutes = require('../inventoryRoutes');
+const { generateToken } = require('../authController');
+
+const buyer = new User({
+  firstName: 'Bea',
+  lastName: 'Buyer',
+  email: 'buyer@example.com',
+  password: 'secret123',
+  role: 'catalog_editor',
+  isActive: true
+});
+
+let app;
+let products;
+let lots;
+let movements;
+let purchaseOrders;
+
+const product = (fields) => new Product({
+  name: 'Rice',
+  description: 'Long grain rice',
+  price: 4,
+  category: new mongoose.Types.ObjectId(),
+  unit: 'kg',
+  stock: 10,
+  costPrice: 2,
+  createdBy: buyer._id,
+  ...fields
+});
+
+beforeEach(async () => {
+  stubSessions();
+  stubQuery(User, 'findById', () => buyer);
+  stubQuery(Setting, 'findOne', () => null);
+  products = memoryModel(Product, [product()]);
+  lots = memoryModel(StockLot);
+  movements = memoryModel(StockMovement);
+  purchaseOrders = memoryModel(PurchaseOrder, [{
+    poNumber: 'PO-1',
+    supplier: new mongoose.Types.ObjectId(),
+    status: 'sent',
+    lines: [{ product: products[0]._id, name: 'Rice', quantity: 10, unitCost: 3 }],
+    createdBy: buyer._id
+  }]);
+  mock.method(PurchaseOrder.prototype, 'populate', async function() {
+    return this;
+  });
+
+  app = await startApp({ '/api/purchase-orders': purchaseOrdersRoutes, '/api/inventory': inventoryRoutes });
+});
+
+afterEach(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+const receive = (lines) => app.request('POST', `/api/purchase-orders/${purchaseOrders[0]._id}/receive`, {
+  token: generateToken(buyer._id),
+  body: { lines: lines.map(line => ({ lineId: purchaseOrders[0].lines[0]._id, ...line })) }
+});
+
+test('receiving averages the cost price over the stock on hand', async () => {
+  const response = await receive([{ quantity: 10 }]);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(products[0].stock, 20);
+  assert.strictEqual(products[0].costPrice, 2.5);
+});
+
+test('receiving a lot into untracked stock keeps the stock already on hand', async () => {
+  const response = await receive([{ quantity: 4, lotNumber: 'RICE-1' }]);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(products[0].stock, 14);
+  assert.deepStrictEqual(lots.map(lot => [lot.lotNumber, lot.quantity]), [['OPENING', 10], ['RICE-1', 4]]);
+  assert.deepStrictEqual(movements.map(movement => movement.type), ['opening_balance', 'receipt']);
+});
+
+test('parts of one line cannot add up to more than is outstanding', async () => {
+  const response = await receive([{ quantity: 5, lotNumber: 'RICE-1' }, { quantity: 6, lotNumber: 'RICE-2' }]);
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.message, 'Only 10 of Rice outstanding');
+  assert.strictEqual(products[0].stock, 10);
+  assert.strictEqual(purchaseOrders[0].lines[0].receivedQuantity, 0);
+});
+
+test('a line can be received in parts, one per lot', async () => {
+  const response = await receive([{ quantity: 4, lotNumber: 'RICE-1' }, { quantity: 6, lotNumber: 'RICE-2' }]);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(products[0].stock, 20);
+  assert.strictEqual(purchaseOrders[0].lines[0].receivedQuantity, 10);
+  assert.strictEqual(purchaseOrders[0].status, 'received');
+});
+
+test('the same lot number twice in one delivery is refused', async () => {
+  const response = await receive([{ quantity: 2, lotNumber: 'RICE-1' }, { quantity: 2, lotNumber: 'RICE-1' }]);
+
+  assert.strictEqual(response.status, 400);
+  assert.match(response.body.message, /more than once/);
+  assert.strictEqual(lots.length, 0);
+});
+
+test('stock sold while the cost price is averaged is left out of the average', async () => {
+  // An order takes 6 of the 10 on hand right after the first read of the product
+  const findById = Product.findById;
+  let reads = 0;
+  mock.method(Product, 'findById', (...args) => query(async () => {
+    const found = await findById(...args);
+    if (++reads === 1) {
+      products[0].stock -= 6;
+    }
+    return found;
+  }));
+
+  const response = await receive([{ quantity: 4 }]);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(products[0].stock, 8);
+  assert.strictEqual(products[0].costPrice, 2.5);
+});
+
+test('margins list the thinnest first and products without a margin last', async () => {
+  products.splice(0, products.length,
+    product({ name: 'Free sample', price: 0, costPrice: 1 }),
+    product({ name: 'Saffron', price: 10, costPrice: 2 }),
+    product({ name: 'Flour', price: 2, costPrice: 1.8 }));
+
+  const response = await app.request('GET', '/api/inventory/margins', { token: generateToken(buyer._id) });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.data.lines.map(line => [line.name, line.margin]), [
+    ['Flour', 10],
+    ['Saffron', 80],
+    ['Free sample', null]
+  ]);
+})
\ No newline at end of file
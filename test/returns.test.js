@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { stubQuery, startApp } = require('./helpers');
+const User = require('../userModel');
+const Setting = require('../settingModel');
+const Order = require('../orderModel');
+const ReturnRequest = require('../returnRequestModel');
+const PaymentTransaction = require('../paymentTransactionModel');
+const { getProvider } = require('../paymentGateway');
+const returnsRoutes = require('../returnsRoutes');
+const { generateToken } = require('../authController');
+
+const agent = new User({
+  firstName: 'Sam',
+  lastName: 'Support',
+  email: 'support@example.com',
+  password: 'secret123',
+  role: 'support_agent',
+  isActive: true
+});
+
+let app;
+let stored;
+let refunds;
+
+beforeEach(async () => {
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    customer: new mongoose.Types.ObjectId(),
+    paymentProvider: 'mock',
+    paymentIntentId: 'mock_pi_1',
+    paymentStatus: 'paid',
+    totalAmount: 40
+  };
+  stored = { _id: new mongoose.Types.ObjectId(), order: order._id, rmaNumber: 'RMA-1', status: 'approved' };
+
+  stubQuery(User, 'findById', () => agent);
+  stubQuery(Setting, 'findOne', () => null);
+  stubQuery(Order, 'findById', () => order);
+  mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+  stubQuery(PaymentTransaction, 'aggregate', () => []);
+  mock.method(PaymentTransaction, 'create', async (doc) => doc);
+  refunds = mock.method(getProvider('mock'), 'refund', async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return { id: 'mock_re_1', status: 'succeeded' };
+  });
+
+  // The stored return only changes when a conditional update's status matches
+  stubQuery(ReturnRequest, 'findById', () => ({ ...stored }));
+  const conditionalUpdate = (filter, update) => {
+    if (filter.status !== stored.status) {
+      return null;
+    }
+    stored = { ...stored, ...update };
+    return { ...stored };
+  };
+  mock.method(ReturnRequest, 'findOneAndUpdate', async (filter, update) => conditionalUpdate(filter, update));
+  mock.method(ReturnRequest, 'updateOne', async (filter, update) => ({ modifiedCount: conditionalUpdate(filter, update) ? 1 : 0 }));
+
+  app = await startApp({ '/api/returns': returnsRoutes });
+});
+
+afterEach(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+const refund = () => app.request('POST', `/api/returns/${stored._id}/refund`, {
+  token: generateToken(agent._id),
+  body: { amount: 10 }
+});
+
+test('concurrent refunds of one return pay out once', async () => {
+  const responses = await Promise.all([refund(), refund()]);
+
+  assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 409]);
+  assert.strictEqual(refunds.mock.callCount(), 1);
+  assert.strictEqual(stored.status, 'refunded');
+  assert.strictEqual(stored.refundAmount, 10);
+});
+
+test('a failed refund puts the return back to approved', async () => {
+  refunds.mock.mockImplementation(async () => ({ id: 'mock_re_2', status: 'failed' }));
+
+  const response = await refund();
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(stored.status, 'approved');
+
+  refunds.mock.mockImplementation(async () => ({ id: 'mock_re_3', status: 'succeeded' }));
+  assert.strictEqual((await refund()).status, 200);
+  assert.strictEqual(stored.status, 'refunded');
+})
\ No newline at end of file
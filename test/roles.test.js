@@ -0,0 +1,69 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, stubQuery, startApp } = require('./helpers');
+const User = require('../userModel');
+const Role = require('../roleModel');
+const Setting = require('../settingModel');
+const rolesRoutes = require('../rolesRoutes');
+const { generateToken } = require('../authController');
+
+// Holds a custom role that may manage roles and read users, nothing more
+const keeper = new User({
+  firstName: 'Rory',
+  lastName: 'Keeper',
+  email: 'keeper@example.com',
+  password: 'secret123',
+  role: 'role_keeper',
+  isActive: true
+});
+
+let app;
+let roles;
+
+beforeEach(async () => {
+  const createdBy = new mongoose.Types.ObjectId();
+  roles = memoryModel(Role, [
+    { name: 'role_keeper', permissions: ['roles:manage', 'users:read'], createdBy },
+    { name: 'buyer', permissions: ['purchasing:manage', 'inventory:write'], createdBy }
+  ]);
+  stubQuery(User, 'findById', () => keeper);
+  stubQuery(Setting, 'findOne', () => null);
+  app = await startApp({ '/api/roles': rolesRoutes });
+});
+
+afterEach(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+const request = (method, path, body) => app.request(method, path, { token: generateToken(keeper._id), body });
+
+test('staff cannot grant their own role permissions they do not have', async () => {
+  const response = await request('PUT', `/api/roles/${roles[0]._id}`, { permissions: ['roles:manage', 'users:write'] });
+
+  assert.strictEqual(response.status, 403);
+  assert.deepStrictEqual([...roles[0].permissions], ['roles:manage', 'users:read']);
+});
+
+test('staff cannot create a role with permissions they do not have', async () => {
+  const response = await request('POST', '/api/roles', { name: 'super', permissions: ['users:delete'] });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(roles.length, 2);
+});
+
+test('staff cannot edit a role holding permissions they do not have', async () => {
+  const response = await request('PUT', `/api/roles/${roles[1]._id}`, { permissions: ['users:read'] });
+
+  assert.strictEqual(response.status, 403);
+  assert.deepStrictEqual([...roles[1].permissions], ['purchasing:manage', 'inventory:write']);
+});
+
+test('staff can create roles within their own permissions', async () => {
+  const response = await request('POST', '/api/roles', { name: 'viewer', permissions: ['users:read'] });
+
+  assert.strictEqual(response.status, 201);
+  assert.deepStrictEqual(roles.map(role => role.name), ['role_keeper', 'buyer', 'viewer']);
+})
\ No newline at end of file
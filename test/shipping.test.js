@@ -0,0 +1,30 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const { stubQuery } = require('./helpers');
+const ShippingZone = require('../shippingZoneModel');
+const { calculateShipping } = require('../shippingController');
+
+afterEach(() => mock.restoreAll());
+
+const items = [{ product: { weight: 1 }, quantity: 2, price: 5 }];
+const address = { country: 'US', state: 'CA', zipCode: '94105' };
+
+test('orders ship at the flat rate while no zones are configured', async () => {
+  stubQuery(ShippingZone, 'find', () => []);
+  stubQuery(ShippingZone, 'exists', () => null);
+
+  const shipping = await calculateShipping({ items, address, method: 'standard' });
+  assert.strictEqual(shipping.error, undefined);
+  assert.strictEqual(shipping.shippingCost, 0);
+  assert.strictEqual(shipping.shippingMethod.type, 'standard');
+  assert.strictEqual(shipping.shippingMethod.zone, null);
+});
+
+test('addresses outside every configured zone are refused', async () => {
+  stubQuery(ShippingZone, 'find', () => []);
+  stubQuery(ShippingZone, 'exists', () => ({ _id: 'zone' }));
+
+  const shipping = await calculateShipping({ items, address, method: 'standard' });
+  assert.strictEqual(shipping.error, 'We do not deliver to this address');
+});
\ No newline at end of file
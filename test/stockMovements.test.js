@@ -0,0 +1,99 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, stubQuery, startApp } = require('./helpers');
+const User = require('../userModel');
+const Setting = require('../settingModel');
+const Product = require('../productModel');
+const StockMovement = require('../stockMovementModel');
+const stockMovementsRoutes = require('../stockMovementsRoutes');
+const { logStockMovement } = require('../inventoryController');
+const { generateToken } = require('../authController');
+
+const editor = new User({
+  firstName: 'Cat',
+  lastName: 'Editor',
+  email: 'editor@example.com',
+  password: 'secret123',
+  role: 'catalog_editor',
+  isActive: true
+});
+
+let products;
+let movements;
+
+const addProduct = (name, stock) => {
+  const product = new Product({
+    name,
+    description: name,
+    price: 2,
+    category: new mongoose.Types.ObjectId(),
+    unit: 'piece',
+    stock,
+    createdBy: editor._id
+  });
+  products.push(product);
+  return product;
+};
+
+beforeEach(() => {
+  products = memoryModel(Product);
+  movements = memoryModel(StockMovement);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('the first movement of stock that predates the ledger records an opening balance', async () => {
+  const product = addProduct('Bread', 10);
+
+  await logStockMovement(product._id, null, 10, 8, { type: 'sale' });
+  await logStockMovement(product._id, null, 8, 5, { type: 'sale' });
+
+  assert.deepStrictEqual(movements.map(movement => [movement.type, movement.quantity]), [
+    ['opening_balance', 10],
+    ['sale', -2],
+    ['sale', -3]
+  ]);
+  assert.strictEqual(movements.reduce((sum, movement) => sum + movement.quantity, 0), 5);
+});
+
+test('new products start their ledger without an opening balance', async () => {
+  const product = addProduct('Butter', 0);
+
+  await logStockMovement(product._id, null, 0, 12, { type: 'receipt', note: 'Initial stock' });
+
+  assert.deepStrictEqual(movements.map(movement => movement.type), ['receipt']);
+});
+
+test('reconcile reports stock that has never moved as untracked, not mismatched', async () => {
+  const legacy = addProduct('Legacy', 5);
+  const synced = addProduct('Synced', 3);
+  const drifted = addProduct('Drifted', 4);
+  stubQuery(StockMovement, 'aggregate', () => [
+    { _id: { product: synced._id }, ledgerStock: 3, movements: 2, lastMovementAt: new Date() },
+    { _id: { product: drifted._id }, ledgerStock: 2, movements: 1, lastMovementAt: new Date() }
+  ]);
+  stubQuery(User, 'findById', () => editor);
+  stubQuery(Setting, 'findOne', () => null);
+
+  const app = await startApp({ '/api/stock-movements': stockMovementsRoutes });
+  try {
+    const response = await app.request('GET', '/api/stock-movements/reconcile', { token: generateToken(editor._id) });
+    assert.strictEqual(response.status, 200);
+
+    const lines = new Map(response.body.data.lines.map(line => [line.name, line]));
+    assert.strictEqual(lines.get(legacy.name).untracked, true);
+    assert.strictEqual(lines.get(legacy.name).inSync, null);
+    assert.strictEqual(lines.get(synced.name).inSync, true);
+    assert.strictEqual(lines.get(drifted.name).inSync, false);
+    assert.deepStrictEqual(response.body.data.summary, { checked: 3, mismatched: 1, untracked: 1 });
+
+    const mismatched = await app.request('GET', '/api/stock-movements/reconcile?onlyMismatched=true', {
+      token: generateToken(editor._id)
+    });
+    assert.deepStrictEqual(mismatched.body.data.lines.map(line => line.name), ['Drifted']);
+  } finally {
+    await app.close();
+  }
+})
\ No newline at end of file
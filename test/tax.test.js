@@ -0,0 +1,51 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { memoryModel, stubQuery } = require('./helpers');
+const Category = require('../categoryModel');
+const Setting = require('../settingModel');
+const TaxRate = require('../taxRateModel');
+const { calculateTax } = require('../taxController');
+
+let rates;
+
+const items = [{ product: { category: new mongoose.Types.ObjectId() }, quantity: 2, price: 10 }];
+
+beforeEach(() => {
+  rates = memoryModel(TaxRate, [
+    { name: 'US federal', country: 'US', rate: 0.05 },
+    { name: 'California', country: 'US', state: 'CA', rate: 0.0725 },
+    { name: 'Canada', country: 'CA', rate: 0.05, isActive: false }
+  ]);
+  stubQuery(Category, 'find', () => []);
+  stubQuery(Setting, 'findOne', () => null);
+});
+
+afterEach(() => mock.restoreAll());
+
+test('state rates override the country-wide rate', async () => {
+  const tax = await calculateTax({ items, address: { country: 'us', state: 'ca' } });
+  assert.strictEqual(tax.taxAmount, 1.45);
+});
+
+test('a state without its own rate pays the country-wide rate', async () => {
+  const tax = await calculateTax({ items, address: { country: 'US', state: 'Califronia' } });
+  assert.strictEqual(tax.taxAmount, 1);
+});
+
+test('a destination no tax rate covers is refused instead of going tax-free', async () => {
+  const tax = await calculateTax({ items, address: { country: 'USA', state: 'CA' } });
+  assert.match(tax.error, /No tax rate covers this address/);
+
+  const inactive = await calculateTax({ items, address: { country: 'CA', state: 'ON' } });
+  assert.ok(inactive.error);
+});
+
+test('shops without any tax rates charge no tax', async () => {
+  rates.splice(0, rates.length);
+
+  const tax = await calculateTax({ items, address: { country: 'US', state: 'CA' } });
+  assert.strictEqual(tax.error, undefined);
+  assert.strictEqual(tax.taxAmount, 0);
+})
\ No newline at end of file
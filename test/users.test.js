@@ -0,0 +1,88 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { mock } = require('node:test');
+const { stubQuery, startApp } = require('./helpers');
+const User = require('../userModel');
+const Role = require('../roleModel');
+const Setting = require('../settingModel');
+const RefreshToken = require('../refreshTokenModel');
+const usersRoutes = require('../usersRoutes');
+const { generateToken } = require('../authController');
+
+const newUser = (fields) => new User({
+  firstName: 'Test',
+  lastName: 'User',
+  password: 'secret123',
+  isActive: true,
+  ...fields
+});
+
+// A custom staff role that may manage users but holds nothing else
+const manager = newUser({ email: 'manager@example.com', role: 'user_manager' });
+const admin = newUser({ email: 'admin@example.com', role: 'admin' });
+const customer = newUser({ email: 'customer@example.com', role: 'user' });
+
+let app;
+let saved;
+let updated;
+
+beforeEach(async () => {
+  const users = new Map([manager, admin, customer].map(user => [user._id.toString(), user]));
+  stubQuery(User, 'findById', (id) => users.get(String(id)) || null);
+  stubQuery(Role, 'findOne', ({ name }) => name === 'user_manager'
+    ? { name, permissions: ['users:read', 'users:write'] }
+    : null);
+  stubQuery(Setting, 'findOne', () => null);
+  mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 0 }));
+  saved = mock.method(User.prototype, 'save', async function() { return this; });
+  updated = stubQuery(User, 'findByIdAndUpdate', (id) => users.get(String(id)));
+  app = await startApp({ '/api/users': usersRoutes });
+});
+
+afterEach(async () => {
+  await app.close();
+  mock.restoreAll();
+});
+
+test('staff cannot reset the password of a user with more permissions', async () => {
+  const response = await app.request('PUT', `/api/users/${admin._id}/password`, {
+    token: generateToken(manager._id),
+    body: { currentPassword: 'unused', newPassword: 'taken-over' }
+  });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(saved.mock.callCount(), 0);
+});
+
+test('staff can reset the password of a user within their permissions', async () => {
+  const response = await app.request('PUT', `/api/users/${customer._id}/password`, {
+    token: generateToken(manager._id),
+    body: { currentPassword: 'unused', newPassword: 'new-password' }
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(saved.mock.callCount(), 1);
+});
+
+test('staff cannot update a user with more permissions', async () => {
+  const response = await app.request('PUT', `/api/users/${admin._id}`, {
+    token: generateToken(manager._id),
+    body: { firstName: 'Mallory' }
+  });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(updated.mock.callCount(), 0);
+});
+
+test('staff cannot deactivate a user with more permissions', async () => {
+  const response = await app.request('PATCH', `/api/users/${admin._id}/deactivate`, {
+    token: generateToken(manager._id)
+  });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(updated.mock.callCount(), 0);
+});
+
+test('staff can still deactivate a user within their permissions', async () => {
+  const response = await app.request('PATCH', `/api/users/${customer._id}/deactivate`, {
+    token: generateToken(manager._id)
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(updated.mock.callCount(), 1);
+})
\ No newline at end of file
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) compatible with common authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD = 30;
+
+// Encode a buffer as base32 without padding
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Decode a base32 string, ignoring case, spaces and padding
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret
+exports.generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+// Generate the code for a secret at a given time step
+const generateForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+// Current time step
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+// Generate the code for a secret at the given time
+exports.generate = (secret, time = Date.now()) => generateForStep(secret, currentStep(time));
+
+// Verify a code, allowing `window` steps of clock drift either way.
+// Returns the matched time step, or null if the code is invalid.
+exports.verify = (code, secret, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep(time);
+  for (let i = -window; i <= window; i++) {
+    const candidate = Buffer.from(generateForStep(secret, step + i));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + i;
+    }
+  }
+  return null;
+};
+
+// Build the otpauth:// URI for enrolling in an authenticator app
+exports.keyUri = (secret, accountName, issuer = 'FreshMart') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
\ No newline at end of file
@@ -1,6 +1,66 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot exceed 50 characters'],
+    default: 'Home'
+  },
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true
+  },
+  street: {
+    type: String,
+    required: [true, 'Street address is required'],
+    trim: true
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    trim: true
+  },
+  zipCode: {
+    type: String,
+    required: [true, 'Zip code is required'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  isDefaultShipping: {
+    type: Boolean,
+    default: false
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
 const userSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -29,7 +89,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    trim: true,
     default: 'user'
   },
   phone: {
@@ -43,9 +103,73 @@ const userSchema = new mongoose.Schema({
     zipCode: String,
     country: String
   },
+  addresses: [addressSchema],
+  // Store credit; every change is recorded in the wallet ledger
+  walletBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Accounts stored before email verification existed load as verified, so they are not
+  // blocked at checkout; new accounts start unverified
+  emailVerified: {
+    type: Boolean,
+    default: function() {
+      return !this.isNew;
+    }
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  tokensRevokedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -58,6 +182,10 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      // Backdate by a second so a token issued right after the change stays valid
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -69,6 +197,62 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether a token issued at the given time (JWT iat, in seconds) has been revoked
+userSchema.methods.isTokenRevoked = function(issuedAt) {
+  const issuedAtMs = issuedAt * 1000;
+  return [this.passwordChangedAt, this.tokensRevokedAt]
+    .some(date => date && issuedAtMs < date.getTime());
+};
+
+// Hash a single-use token for storage and lookup
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create a fresh set of recovery codes; only their hashes are stored on the user
+userSchema.methods.createRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactorRecoveryCodes = codes.map(code => this.constructor.hashToken(code));
+  return codes;
+};
+
+// Create a password reset token; only its hash is stored on the user
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  return token;
+};
+
+// Create an email verification token; only its hash is stored on the user
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  return token;
+};
+
+// Make the given address the only default of its kind ('shipping' or 'billing')
+userSchema.methods.setDefaultAddress = function(addressId, kind) {
+  const field = kind === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+  this.addresses.forEach(address => {
+    address[field] = address._id.toString() === addressId.toString();
+  });
+};
+
+// Copy an address book entry into the plain shape stored on orders
+userSchema.methods.getAddressSnapshot = function(addressId) {
+  const address = this.addresses.id(addressId);
+  if (!address) {
+    return null;
+  }
+  const { firstName, lastName, street, city, state, zipCode, country, phone } = address;
+  return { firstName, lastName, street, city, state, zipCode, country, phone };
+};
+
 // Get full name virtual
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
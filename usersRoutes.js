@@ -1,12 +1,51 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('./userModel');
-const { protect, admin } = require('./authController');
+const Role = require('./roleModel');
+const AuditLog = require('./auditLogModel');
+const {
+  protect,
+  can,
+  generateAuthTokens,
+  revokeRefreshTokens,
+  resetLoginFailures
+} = require('./authController');
+const { hasPermission, coversPermissions } = require('./permissions');
 
 const router = express.Router();
 
-// Get all users (Admin only)
-router.get('/', protect, admin, async (req, res) => {
+// Address fields validation; `optional` relaxes it for partial updates
+const addressValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    body('label').optional().trim().isLength({ max: 50 }).withMessage('Label cannot exceed 50 characters'),
+    field('firstName').trim().notEmpty().withMessage('First name is required'),
+    field('lastName').trim().notEmpty().withMessage('Last name is required'),
+    field('street').trim().notEmpty().withMessage('Street address is required'),
+    field('city').trim().notEmpty().withMessage('City is required'),
+    field('state').trim().notEmpty().withMessage('State is required'),
+    field('zipCode').trim().notEmpty().withMessage('Zip code is required'),
+    field('country').trim().notEmpty().withMessage('Country is required'),
+    field('phone').trim().notEmpty().withMessage('Phone number is required'),
+    body('isDefaultShipping').optional().isBoolean().withMessage('isDefaultShipping must be a boolean'),
+    body('isDefaultBilling').optional().isBoolean().withMessage('isDefaultBilling must be a boolean')
+  ];
+};
+
+// Users may manage their own address book; staff need the given permission
+const canAccessUser = (req, permission) => {
+  return req.user.id === req.params.id || hasPermission(req.permissions, permission);
+};
+
+// Staff can only assign, or act on accounts holding, roles within their own permissions
+const canManageRole = async (req, role) => {
+  return coversPermissions(req.permissions, await Role.permissionsFor(role));
+};
+
+const OUTRANKED_MESSAGE = 'You cannot manage a user with more permissions than your own';
+
+// Get all users (users:read)
+router.get('/', protect, can('users:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search, role, isActive } = req.query;
     
@@ -60,8 +99,8 @@ router.get('/', protect, admin, async (req, res) => {
   }
 });
 
-// Get single user (Admin only)
-router.get('/:id', protect, admin, async (req, res) => {
+// Get single user (users:read)
+router.get('/:id', protect, can('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -85,13 +124,18 @@ router.get('/:id', protect, admin, async (req, res) => {
   }
 });
 
-// Update user profile (User can update own profile, Admin can update any)
+// Update user profile (User can update own profile, users:write can update any)
 router.put('/:id', [
   protect,
   body('firstName').optional().trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
   body('lastName').optional().trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
   body('phone').optional().trim().isMobilePhone().withMessage('Please enter a valid phone number'),
-  body('role').optional().isIn(['user', 'admin']).withMessage('Role must be either user or admin')
+  body('role').optional().trim()
+    .custom(async role => {
+      if (!(await Role.isDefined(role))) {
+        throw new Error('Role does not exist');
+      }
+    })
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -104,8 +148,9 @@ router.put('/:id', [
       });
     }
 
-    // Check if user is trying to update their own profile or is admin
-    if (req.user.id !== req.params.id && req.user.role !== 'admin') {
+    // Check if user is trying to update their own profile or may manage users
+    const canManageUsers = hasPermission(req.permissions, 'users:write');
+    if (req.user.id !== req.params.id && !canManageUsers) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only update your own profile.'
@@ -123,10 +168,25 @@ router.put('/:id', [
       });
     }
 
-    // Only admin can update role and isActive
+    if (req.user.id !== req.params.id && !(await canManageRole(req, user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: OUTRANKED_MESSAGE
+      });
+    }
+
+    // Only users:write can update role and isActive
     const updateData = { firstName, lastName, phone, address };
-    if (req.user.role === 'admin') {
-      if (role) updateData.role = role;
+    if (canManageUsers) {
+      if (role) {
+        if (!(await canManageRole(req, role))) {
+          return res.status(403).json({
+            success: false,
+            message: 'You cannot assign a role with more permissions than your own'
+          });
+        }
+        updateData.role = role;
+      }
       if (isActive !== undefined) updateData.isActive = isActive;
     }
 
@@ -136,6 +196,10 @@ router.put('/:id', [
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (updateData.isActive === false) {
+      await revokeRefreshTokens(req.params.id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -167,8 +231,8 @@ router.put('/:id/password', [
       });
     }
 
-    // Check if user is trying to update their own password or is admin
-    if (req.user.id !== req.params.id && req.user.role !== 'admin') {
+    // Check if user is trying to update their own password or may manage users
+    if (req.user.id !== req.params.id && !hasPermission(req.permissions, 'users:write')) {
       return res.status(403).json({
         success: false,
         message: 'Access denied. You can only update your own password.'
@@ -186,7 +250,7 @@ router.put('/:id/password', [
       });
     }
 
-    // Verify current password (except for admin updating other users)
+    // Verify current password; staff may reset other users' passwords only below their own permissions
     if (req.user.id === req.params.id) {
       const isPasswordMatch = await user.comparePassword(currentPassword);
       if (!isPasswordMatch) {
@@ -195,15 +259,190 @@ router.put('/:id/password', [
           message: 'Current password is incorrect'
         });
       }
+    } else if (!(await canManageRole(req, user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: OUTRANKED_MESSAGE
+      });
     }
 
     // Update password
     user.password = newPassword;
     await user.save();
 
+    // Existing sessions end with the password change
+    await revokeRefreshTokens(user._id);
+
+    // Users changing their own password get a fresh session
+    const tokens = req.user.id === req.params.id
+      ? await generateAuthTokens(user._id, req)
+      : undefined;
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated successfully',
+      data: tokens
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get user's addresses (User can see own, users:read can see any)
+router.get('/:id/addresses', protect, async (req, res) => {
+  try {
+    if (!canAccessUser(req, 'users:read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your own addresses.'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { addresses: user.addresses }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Add address (User can add own, users:write can add to any)
+router.post('/:id/addresses', [
+  protect,
+  ...addressValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    if (!canAccessUser(req, 'users:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage your own addresses.'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const {
+      label, firstName, lastName, street, city, state, zipCode, country, phone,
+      isDefaultShipping, isDefaultBilling
+    } = req.body;
+
+    user.addresses.push({ label, firstName, lastName, street, city, state, zipCode, country, phone });
+    const address = user.addresses[user.addresses.length - 1];
+
+    // The first address becomes the default for both unless told otherwise
+    const isFirst = user.addresses.length === 1;
+    if (isDefaultShipping === true || (isFirst && isDefaultShipping !== false)) {
+      user.setDefaultAddress(address._id, 'shipping');
+    }
+    if (isDefaultBilling === true || (isFirst && isDefaultBilling !== false)) {
+      user.setDefaultAddress(address._id, 'billing');
+    }
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added successfully',
+      data: { address, addresses: user.addresses }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Update address (User can update own, users:write can update any)
+router.put('/:id/addresses/:addressId', [
+  protect,
+  param('addressId').isMongoId().withMessage('Valid address ID is required'),
+  ...addressValidation(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    if (!canAccessUser(req, 'users:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage your own addresses.'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    const fields = ['label', 'firstName', 'lastName', 'street', 'city', 'state', 'zipCode', 'country', 'phone'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        address[field] = req.body[field];
+      }
+    });
+
+    const { isDefaultShipping, isDefaultBilling } = req.body;
+    if (isDefaultShipping === true) {
+      user.setDefaultAddress(address._id, 'shipping');
+    } else if (isDefaultShipping === false) {
+      address.isDefaultShipping = false;
+    }
+    if (isDefaultBilling === true) {
+      user.setDefaultAddress(address._id, 'billing');
+    } else if (isDefaultBilling === false) {
+      address.isDefaultBilling = false;
+    }
+
+    await user.save();
+
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Address updated successfully',
+      data: { address, addresses: user.addresses }
     });
   } catch (error) {
     res.status(500).json({
@@ -214,8 +453,56 @@ router.put('/:id/password', [
   }
 });
 
-// Deactivate user account (Admin only)
-router.patch('/:id/deactivate', protect, admin, async (req, res) => {
+// Delete address (User can delete own, users:write can delete any)
+router.delete('/:id/addresses/:addressId', [
+  protect,
+  param('addressId').isMongoId().withMessage('Valid address ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    if (!canAccessUser(req, 'users:write')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage your own addresses.'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    const address = user && user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    address.deleteOne();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted successfully',
+      data: { addresses: user.addresses }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Deactivate user account (users:write)
+router.patch('/:id/deactivate', protect, can('users:write'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -226,6 +513,13 @@ router.patch('/:id/deactivate', protect, admin, async (req, res) => {
       });
     }
 
+    if (!(await canManageRole(req, user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: OUTRANKED_MESSAGE
+      });
+    }
+
     if (!user.isActive) {
       return res.status(400).json({
         success: false,
@@ -234,6 +528,7 @@ router.patch('/:id/deactivate', protect, admin, async (req, res) => {
     }
 
     await User.findByIdAndUpdate(req.params.id, { isActive: false });
+    await revokeRefreshTokens(req.params.id);
 
     res.status(200).json({
       success: true,
@@ -248,8 +543,8 @@ router.patch('/:id/deactivate', protect, admin, async (req, res) => {
   }
 });
 
-// Activate user account (Admin only)
-router.patch('/:id/activate', protect, admin, async (req, res) => {
+// Activate user account (users:write)
+router.patch('/:id/activate', protect, can('users:write'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -260,6 +555,13 @@ router.patch('/:id/activate', protect, admin, async (req, res) => {
       });
     }
 
+    if (!(await canManageRole(req, user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: OUTRANKED_MESSAGE
+      });
+    }
+
     if (user.isActive) {
       return res.status(400).json({
         success: false,
@@ -282,8 +584,8 @@ router.patch('/:id/activate', protect, admin, async (req, res) => {
   }
 });
 
-// Delete user (Admin only)
-router.delete('/:id', protect, admin, async (req, res) => {
+// Unlock user account after failed logins (users:write)
+router.patch('/:id/unlock', protect, can('users:write'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -294,7 +596,61 @@ router.delete('/:id', protect, admin, async (req, res) => {
       });
     }
 
-    // Prevent admin from deleting themselves
+    if (!(await canManageRole(req, user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: OUTRANKED_MESSAGE
+      });
+    }
+
+    if (!user.failedLoginAttempts && !(user.lockUntil > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'User account is not locked'
+      });
+    }
+
+    await resetLoginFailures(user._id);
+    await AuditLog.record('account.unlocked', {
+      actor: req.user.id,
+      target: user._id,
+      ip: req.ip,
+      details: { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Delete user (users:delete)
+router.delete('/:id', protect, can('users:delete'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canManageRole(req, user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: OUTRANKED_MESSAGE
+      });
+    }
+
+    // Prevent staff from deleting themselves
     if (req.user.id === req.params.id) {
       return res.status(400).json({
         success: false,
@@ -0,0 +1,147 @@
+const User = require('./userModel');
+const GiftCard = require('./giftCardModel');
+const WalletTransaction = require('./walletTransactionModel');
+
+// Round to cents
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Add store credit to a user's wallet inside the session and record it in the ledger.
+// Returns the ledger entry, or null if the user does not exist.
+exports.creditWallet = async (userId, amount, details, session) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { walletBalance: roundCurrency(amount) } },
+    { new: true, session }
+  );
+  if (!user) {
+    return null;
+  }
+
+  const [entry] = await WalletTransaction.create([{
+    ...details,
+    user: userId,
+    type: 'credit',
+    amount: roundCurrency(amount),
+    balanceAfter: roundCurrency(user.walletBalance)
+  }], { session });
+  return entry;
+};
+
+// Spend store credit from a user's wallet inside the session and record it in the ledger.
+// The balance is only decremented while it covers the amount, so it cannot go negative.
+// Returns the ledger entry, or null if the balance is too low.
+exports.debitWallet = async (userId, amount, details, session) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, walletBalance: { $gte: roundCurrency(amount) } },
+    { $inc: { walletBalance: -roundCurrency(amount) } },
+    { new: true, session }
+  );
+  if (!user) {
+    return null;
+  }
+
+  const [entry] = await WalletTransaction.create([{
+    ...details,
+    user: userId,
+    type: 'debit',
+    amount: roundCurrency(amount),
+    balanceAfter: roundCurrency(user.walletBalance)
+  }], { session });
+  return entry;
+};
+
+// Change a gift card balance inside the session and append it to the card history.
+// The balance never goes negative, and only usable cards can be redeemed.
+// Returns the updated card, or null if it could not be applied.
+exports.changeGiftCardBalance = async (giftCardId, amount, entry, session) => {
+  const change = roundCurrency(amount);
+  const filter = { _id: giftCardId };
+  if (change < 0) {
+    filter.balance = { $gte: -change };
+  }
+  if (entry.type === 'redeem') {
+    filter.isActive = true;
+    filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  }
+
+  const giftCard = await GiftCard.findOneAndUpdate(
+    filter,
+    { $inc: { balance: change } },
+    { new: true, session }
+  );
+  if (!giftCard) {
+    return null;
+  }
+
+  giftCard.balance = roundCurrency(giftCard.balance);
+  giftCard.history.push({ ...entry, amount: change, balanceAfter: giftCard.balance });
+  await giftCard.save({ session });
+  return giftCard;
+};
+
+// Apply a gift card and/or wallet balance to an order total inside the session.
+// The gift card is used first; `walletAmount` caps the wallet part ('max' uses as much as possible).
+// Returns { tenders, tenderedAmount } or { error }.
+exports.chargeTenders = async ({ userId, orderId, total, giftCardCode, walletAmount }, session) => {
+  const tenders = [];
+  let remaining = roundCurrency(total);
+
+  if (giftCardCode && remaining > 0) {
+    const giftCard = await GiftCard.findOne({ code: String(giftCardCode).trim().toUpperCase() }).session(session);
+    if (!giftCard || !giftCard.isUsable()) {
+      return { error: 'Gift card is not valid or has no balance' };
+    }
+
+    const amount = roundCurrency(Math.min(giftCard.balance, remaining));
+    const updated = await exports.changeGiftCardBalance(giftCard._id, -amount, {
+      type: 'redeem',
+      order: orderId,
+      user: userId
+    }, session);
+    if (!updated) {
+      return { error: 'Gift card balance changed, please retry' };
+    }
+
+    tenders.push({ type: 'gift_card', amount, giftCard: giftCard._id, reference: giftCard.code.slice(-4) });
+    remaining = roundCurrency(remaining - amount);
+  }
+
+  if (walletAmount && remaining > 0) {
+    const user = await User.findById(userId).session(session);
+    const available = user ? user.walletBalance : 0;
+    const requested = walletAmount === 'max' ? available : Math.min(walletAmount, available);
+    const amount = roundCurrency(Math.min(requested, remaining));
+
+    if (amount > 0) {
+      const entry = await exports.debitWallet(userId, amount, { source: 'order', order: orderId }, session);
+      if (!entry) {
+        return { error: 'Insufficient wallet balance' };
+      }
+      tenders.push({ type: 'wallet', amount });
+      remaining = roundCurrency(remaining - amount);
+    }
+  }
+
+  return {
+    tenders,
+    tenderedAmount: roundCurrency(total - remaining)
+  };
+};
+
+// Give a cancelled order's gift card and wallet tenders back inside the session
+exports.releaseOrderTenders = async (order, session) => {
+  for (const tender of order.tenders || []) {
+    if (tender.type === 'gift_card') {
+      await exports.changeGiftCardBalance(tender.giftCard, tender.amount, {
+        type: 'restore',
+        order: order._id,
+        user: order.customer
+      }, session);
+    } else if (tender.type === 'wallet') {
+      await exports.creditWallet(order.customer, tender.amount, {
+        source: 'order_cancelled',
+        order: order._id
+      }, session);
+    }
+  }
+};
\ No newline at end of file
@@ -0,0 +1,519 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const User = require('./userModel');
+const GiftCard = require('./giftCardModel');
+const WalletTransaction = require('./walletTransactionModel');
+const AuditLog = require('./auditLogModel');
+const { protect, can } = require('./authController');
+const { sendMail } = require('./mailer');
+const { creditWallet, debitWallet, changeGiftCardBalance } = require('./walletController');
+
+const router = express.Router();
+
+// Get a user's balance and a page of their wallet ledger
+const getWallet = async (userId, { page = 1, limit = 20 }) => {
+  const user = await User.findById(userId).select('firstName lastName email walletBalance');
+  if (!user) {
+    return null;
+  }
+
+  const transactions = await WalletTransaction.find({ user: userId })
+    .populate('order', 'orderNumber')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await WalletTransaction.countDocuments({ user: userId });
+
+  return {
+    user,
+    balance: user.walletBalance,
+    transactions,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: parseInt(limit)
+    }
+  };
+};
+
+// Get current user's wallet
+router.get('/', protect, async (req, res) => {
+  try {
+    const wallet = await getWallet(req.user.id, req.query);
+    const { user, ...data } = wallet;
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Check a gift card balance
+router.post('/gift-cards/check', [
+  protect,
+  body('code').trim().notEmpty().withMessage('Gift card code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const giftCard = await GiftCard.findOne({ code: req.body.code.toUpperCase() });
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balance: giftCard.balance,
+        expiresAt: giftCard.expiresAt,
+        usable: giftCard.isUsable()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Move a gift card's whole balance into the current user's wallet
+router.post('/redeem', [
+  protect,
+  body('code').trim().notEmpty().withMessage('Gift card code is required')
+], async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const giftCard = await GiftCard.findOne({ code: req.body.code.toUpperCase() });
+    if (!giftCard || !giftCard.isUsable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gift card is not valid or has no balance'
+      });
+    }
+
+    const amount = giftCard.balance;
+
+    session.startTransaction();
+
+    const updated = await changeGiftCardBalance(giftCard._id, -amount, {
+      type: 'redeem',
+      user: req.user.id,
+      note: 'Redeemed into wallet'
+    }, session);
+    if (!updated) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Gift card balance changed, please retry'
+      });
+    }
+
+    const entry = await creditWallet(req.user.id, amount, {
+      source: 'gift_card',
+      giftCard: giftCard._id
+    }, session);
+
+    await session.commitTransaction();
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card redeemed successfully',
+      data: {
+        amount,
+        balance: entry.balanceAfter
+      }
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Get a user's wallet (wallet:manage)
+router.get('/users/:userId', protect, can('wallet:manage'), async (req, res) => {
+  try {
+    const wallet = await getWallet(req.params.userId, req.query);
+    if (!wallet) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Issue goodwill credit or correct a user's balance (wallet:manage).
+// A positive amount adds credit, a negative amount removes it; both are audited.
+router.post('/users/:userId/adjust', [
+  protect,
+  can('wallet:manage'),
+  body('amount').isFloat().toFloat().custom(value => value !== 0).withMessage('Amount must be a non-zero number'),
+  body('source').optional().isIn(['goodwill', 'adjustment']).withMessage('Source must be goodwill or adjustment'),
+  body('note').trim().notEmpty().isLength({ max: 500 }).withMessage('A note explaining the change is required')
+], async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { amount, note } = req.body;
+    const source = amount > 0 ? (req.body.source || 'goodwill') : 'adjustment';
+    const details = { source, note, performedBy: req.user.id };
+
+    session.startTransaction();
+
+    const entry = amount > 0
+      ? await creditWallet(req.params.userId, amount, details, session)
+      : await debitWallet(req.params.userId, -amount, details, session);
+
+    if (!entry) {
+      await session.abortTransaction();
+      const exists = await User.exists({ _id: req.params.userId });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Wallet balance is lower than the amount to remove' : 'User not found'
+      });
+    }
+
+    await session.commitTransaction();
+
+    await AuditLog.record(amount > 0 ? 'wallet.credit' : 'wallet.debit', {
+      actor: req.user.id,
+      target: req.params.userId,
+      ip: req.ip,
+      details: { amount, source, note, balanceAfter: entry.balanceAfter }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Wallet adjusted successfully',
+      data: { transaction: entry }
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Get all gift cards (wallet:manage)
+router.get('/gift-cards', protect, can('wallet:manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, isActive } = req.query;
+
+    let query = {};
+    if (search) {
+      query.$or = [
+        { code: { $regex: search, $options: 'i' } },
+        { recipientEmail: { $regex: search, $options: 'i' } }
+      ];
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    const giftCards = await GiftCard.find(query)
+      .select('-history')
+      .populate('issuedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await GiftCard.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        giftCards,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Get single gift card with its history (wallet:manage)
+router.get('/gift-cards/:id', protect, can('wallet:manage'), async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findById(req.params.id)
+      .populate('issuedBy', 'firstName lastName')
+      .populate('history.order', 'orderNumber')
+      .populate('history.user', 'firstName lastName email');
+
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { giftCard }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Issue a gift card, emailing the code to the recipient if given (wallet:manage)
+router.post('/gift-cards', [
+  protect,
+  can('wallet:manage'),
+  body('amount').isFloat({ gt: 0 }).toFloat().withMessage('Amount must be greater than 0'),
+  body('recipientEmail').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date'),
+  body('note').optional().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { amount, recipientEmail, expiresAt, note } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be in the future'
+      });
+    }
+
+    const giftCard = await GiftCard.create({
+      code: GiftCard.generateCode(),
+      initialBalance: amount,
+      balance: amount,
+      recipientEmail,
+      expiresAt,
+      issuedBy: req.user.id,
+      history: [{ type: 'issue', amount, balanceAfter: amount, user: req.user.id, note }]
+    });
+
+    await AuditLog.record('giftcard.issued', {
+      actor: req.user.id,
+      ip: req.ip,
+      details: { giftCard: giftCard._id, amount, recipientEmail, note }
+    });
+
+    if (recipientEmail) {
+      await sendMail({
+        to: recipientEmail,
+        subject: 'You received a FreshMart gift card',
+        text: `You received a FreshMart gift card worth ${amount}.\n\nYour code: ${giftCard.code}\n\nUse it at checkout or add it to your wallet.${expiresAt ? `\nIt expires on ${new Date(expiresAt).toDateString()}.` : ''}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Gift card issued successfully',
+      data: { giftCard }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Adjust a gift card balance (wallet:manage)
+router.post('/gift-cards/:id/adjust', [
+  protect,
+  can('wallet:manage'),
+  body('amount').isFloat().toFloat().custom(value => value !== 0).withMessage('Amount must be a non-zero number'),
+  body('note').trim().notEmpty().isLength({ max: 500 }).withMessage('A note explaining the change is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { amount, note } = req.body;
+
+    const giftCard = await GiftCard.findById(req.params.id);
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    if (giftCard.balance + amount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gift card balance is lower than the amount to remove'
+      });
+    }
+
+    // Staff adjustments also apply to inactive or expired cards
+    const updated = await changeGiftCardBalance(giftCard._id, amount, {
+      type: 'adjustment',
+      user: req.user.id,
+      note
+    });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Gift card balance changed, please retry'
+      });
+    }
+
+    await AuditLog.record('giftcard.adjusted', {
+      actor: req.user.id,
+      ip: req.ip,
+      details: { giftCard: updated._id, amount, note, balanceAfter: updated.balance }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card adjusted successfully',
+      data: { giftCard: updated }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Activate, deactivate or change the expiry of a gift card (wallet:manage)
+router.patch('/gift-cards/:id', [
+  protect,
+  can('wallet:manage'),
+  body('isActive').optional().isBoolean().toBoolean().withMessage('isActive must be a boolean'),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const update = {};
+    if (req.body.isActive !== undefined) update.isActive = req.body.isActive;
+    if (req.body.expiresAt !== undefined) update.expiresAt = req.body.expiresAt;
+
+    const giftCard = await GiftCard.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true })
+      .select('-history');
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    await AuditLog.record('giftcard.updated', {
+      actor: req.user.id,
+      ip: req.ip,
+      details: { giftCard: giftCard._id, ...update }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card updated successfully',
+      data: { giftCard }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger of store credit added to and spent from a user's wallet
+const walletTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  // Wallet balance right after this entry
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['gift_card', 'order', 'order_cancelled', 'refund', 'goodwill', 'adjustment'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  giftCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Ledger entries are never changed or removed; corrections are new entries
+walletTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Wallet ledger entries cannot be changed'));
+  }
+);
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ order: 1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
\ No newline at end of file